@@ -0,0 +1,32 @@
+// Access to maintenance routes with the ADMIN_TOKEN bearer token
+const crypto = require("crypto");
+const config = require("./config");
+
+/**
+ * Express middleware that only lets requests with `Authorization: Bearer <ADMIN_TOKEN>` through.
+ * Maintenance routes don't exist when ADMIN_TOKEN is not set.
+ * @param {Object} req - The Express request
+ * @param {Object} res - The Express response
+ * @param {Function} next - The next middleware
+ * @returns {void}
+ */
+function requireAdminToken(req, res, next) {
+    if (!config.admin_token) {
+        return res.status(404).json({ success: false, error: "Not found" });
+    }
+
+    const match = /^Bearer (.+)$/.exec(req.get("Authorization") || "");
+    const expected = crypto.createHash("sha256").update(config.admin_token).digest();
+    // Compare hashes so the comparison takes the same time whatever the token length
+    const given = crypto.createHash("sha256").update(match ? match[1] : "").digest();
+    if (!match || !crypto.timingSafeEqual(given, expected)) {
+        console.warn(`⚠️ Rejected admin request to ${req.method} ${req.path} from ${req.ip}`);
+        return res.status(401).json({ success: false, error: "Invalid admin token" });
+    }
+
+    next();
+}
+
+module.exports = {
+    requireAdminToken
+};
@@ -0,0 +1,44 @@
+// Languages, difficulties and levels the game ships, loaded from a catalog file
+const config = require("./config");
+
+// Read and validated by the config layer
+const { file: CATALOG_FILE, ...catalog } = config.catalog_file;
+console.log(`Loaded catalog from ${CATALOG_FILE}: ${catalog.levels.length} levels, ` +
+    `languages ${catalog.languages.map(entry => entry.code).join("/")}, ` +
+    `difficulties ${catalog.difficulties.map(entry => entry.code).join("/")}`);
+
+/**
+ * Get the catalog
+ * @returns {{languages: Array<{code: string, name: string}>, difficulties: Array<{code: string, name: string}>, levels: string[]}} The catalog
+ */
+function getCatalog() {
+    return catalog;
+}
+
+/**
+ * Check that a level, language and difficulty are in the catalog
+ * @param {string} level_id - The level ID
+ * @param {string} language - The language code
+ * @param {string} difficulty - The difficulty code
+ * @returns {string|null} Why the combination is unknown, or null if it is in the catalog
+ */
+function checkLevel(level_id, language, difficulty) {
+    if (!catalog.levels.includes(String(level_id))) {
+        return `Unknown level: ${level_id}`;
+    }
+
+    if (!catalog.languages.some(entry => entry.code === language)) {
+        return `Unknown language: ${language}. Expected one of: ${catalog.languages.map(entry => entry.code).join(", ")}`;
+    }
+
+    if (!catalog.difficulties.some(entry => entry.code === difficulty)) {
+        return `Unknown difficulty: ${difficulty}. Expected one of: ${catalog.difficulties.map(entry => entry.code).join(", ")}`;
+    }
+
+    return null;
+}
+
+module.exports = {
+    getCatalog,
+    checkLevel
+};
@@ -0,0 +1,442 @@
+// Server settings from environment variables and an optional config file, validated at startup
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, "..", "config", "server.json");
+
+/**
+ * Parse a whole number within bounds
+ * @param {number} min - The smallest accepted value
+ * @param {number} max - The largest accepted value
+ * @returns {Function} Parser returning the number, or throwing with the expected format
+ */
+function integerBetween(min, max) {
+    return value => {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < min || number > max) {
+            throw new Error(`expected a whole number from ${min} to ${max}`);
+        }
+        return number;
+    };
+}
+
+/**
+ * Parse a number within bounds, fractions allowed
+ * @param {number} min - The smallest accepted value
+ * @param {number} max - The largest accepted value
+ * @returns {Function} Parser returning the number, or throwing with the expected format
+ */
+function numberBetween(min, max) {
+    return value => {
+        const number = typeof value === "string" && value.trim() === "" ? NaN : Number(value);
+        if (!Number.isFinite(number) || number < min || number > max) {
+            throw new Error(`expected a number from ${min} to ${max}`);
+        }
+        return number;
+    };
+}
+
+/**
+ * Parse one of a fixed set of strings
+ * @param {string[]} choices - The accepted values
+ * @returns {Function} Parser returning the value, or throwing with the expected values
+ */
+function oneOf(choices) {
+    return value => {
+        if (!choices.includes(String(value))) {
+            throw new Error(`expected one of: ${choices.join(", ")}`);
+        }
+        return String(value);
+    };
+}
+
+/**
+ * Parse a sheet name
+ * @param {string} value - The sheet name
+ * @returns {string} The sheet name
+ */
+function sheetName(value) {
+    const name = String(value);
+    // Quotes and "!" would break the A1 ranges sent to the Sheets API
+    if (!name.trim() || name !== name.trim() || /['!]/.test(name)) {
+        throw new Error("expected a sheet name without surrounding spaces, quotes or \"!\"");
+    }
+    return name;
+}
+
+/**
+ * Parse a Google Sheets spreadsheet ID
+ * @param {string} value - The spreadsheet ID
+ * @returns {string} The spreadsheet ID
+ */
+function spreadsheetId(value) {
+    if (!/^[A-Za-z0-9_-]{20,}$/.test(String(value))) {
+        throw new Error("expected the ID from the spreadsheet URL (docs.google.com/spreadsheets/d/<ID>/edit)");
+    }
+    return String(value);
+}
+
+/**
+ * Parse service account credentials, fixing escaped newlines in the private key
+ * @param {string} value - The stringified service account JSON
+ * @returns {Object} The credentials
+ */
+function serviceAccount(value) {
+    let credentials;
+    try {
+        credentials = JSON.parse(value);
+    } catch (error) {
+        throw new Error(`expected stringified JSON (${error.message})`);
+    }
+
+    if (!credentials || !credentials.client_email || !credentials.private_key) {
+        throw new Error("expected service account JSON with client_email and private_key");
+    }
+
+    // Replace escaped newlines with actual newlines if needed
+    if (!credentials.private_key.includes("\n")) {
+        credentials.private_key = credentials.private_key.replace(/\\n/g, "\n");
+    }
+    return credentials;
+}
+
+/**
+ * Parse the token for maintenance routes
+ * @param {string} value - The token
+ * @returns {string} The token
+ */
+function adminToken(value) {
+    if (String(value).length < 16) {
+        throw new Error("expected at least 16 characters");
+    }
+    return String(value);
+}
+
+/**
+ * Parse an IANA timezone name
+ * @param {string} value - The timezone, e.g. "Europe/Warsaw"
+ * @returns {string} The timezone
+ */
+function timeZone(value) {
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone: String(value) });
+    } catch (error) {
+        throw new Error("expected an IANA timezone such as UTC or Europe/Warsaw");
+    }
+    return String(value);
+}
+
+/**
+ * Read and validate the season schedule
+ * @param {string} value - Path of the seasons file
+ * @returns {{file: string, seasons: Array<{id: string, name: string, starts_at: string, start: number}>}} The file and its seasons, earliest first
+ */
+function seasonSchedule(value) {
+    const file = path.resolve(String(value));
+    let schedule;
+    try {
+        schedule = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+        throw new Error(`could not read the season schedule (${error.message})`);
+    }
+
+    const seasons = [];
+    for (const season of schedule.seasons || []) {
+        // Season IDs become part of archive sheet names such as global_scores_season_2025-1
+        if (!season || typeof season.id !== "string" || !/^[A-Za-z0-9-]+$/.test(season.id)) {
+            throw new Error(`invalid season ${JSON.stringify(season)}: IDs may only use letters, digits and "-"`);
+        }
+
+        const start = Date.parse(season.starts_at);
+        if (Number.isNaN(start)) {
+            throw new Error(`invalid starts_at "${season.starts_at}" for season ${season.id}: expected an ISO date`);
+        }
+
+        if (seasons.some(other => other.id === season.id)) {
+            throw new Error(`duplicate season ID ${season.id}`);
+        }
+
+        seasons.push({ id: season.id, name: season.name || season.id, starts_at: new Date(start).toISOString(), start });
+    }
+
+    return { file, seasons: seasons.sort((a, b) => a.start - b.start) };
+}
+
+/**
+ * Read a JSON file named by a setting
+ * @param {string} file - Absolute path of the file
+ * @param {string} what - What the file holds, used in error messages
+ * @returns {Object} The parsed contents
+ */
+function readJsonFile(file, what) {
+    try {
+        return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+        throw new Error(`could not read the ${what} (${error.message})`);
+    }
+}
+
+/**
+ * Check a list of catalog entries, each with a code and a display name
+ * @param {Array<{code: string, name: string}>} entries - The entries
+ * @param {string} kind - What the entries are, used in error messages
+ * @returns {Array<{code: string, name: string}>} The entries
+ */
+function catalogEntries(entries, kind) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error(`the catalog must list at least one ${kind}`);
+    }
+
+    for (const entry of entries) {
+        // Codes become part of sheet names such as 1_en_easy, so they can't contain the separator
+        if (!entry || typeof entry.code !== "string" || !/^[a-z0-9-]+$/.test(entry.code)) {
+            throw new Error(`invalid ${kind} ${JSON.stringify(entry)}: codes may only use a-z, 0-9 and "-"`);
+        }
+    }
+
+    return entries.map(entry => ({ code: entry.code, name: entry.name || entry.code }));
+}
+
+/**
+ * Expand catalog level IDs and inclusive ranges such as ["1-20", "25"]
+ * @param {Array<string|number>} levels - Level IDs and ranges
+ * @returns {string[]} The level IDs, in order
+ */
+function catalogLevelIds(levels) {
+    const ids = [];
+
+    for (const item of levels) {
+        const part = String(item).trim();
+        const range = part.match(/^(\d+)-(\d+)$/);
+        if (range && parseInt(range[1]) <= parseInt(range[2])) {
+            for (let id = parseInt(range[1]); id <= parseInt(range[2]); id++) {
+                ids.push(String(id));
+            }
+        } else if (/^\d+$/.test(part)) {
+            ids.push(String(parseInt(part)));
+        } else {
+            throw new Error(`invalid catalog level "${part}": expected level IDs or ranges, e.g. "1-20"`);
+        }
+    }
+
+    return [...new Set(ids)];
+}
+
+/**
+ * Read and validate the catalog of languages, difficulties and levels
+ * @param {string} value - Path of the catalog file
+ * @returns {{file: string, languages: Array<{code: string, name: string}>, difficulties: Array<{code: string, name: string}>, levels: string[]}} The file and its catalog
+ */
+function catalog(value) {
+    const file = path.resolve(String(value));
+    const contents = readJsonFile(file, "catalog");
+
+    return {
+        file,
+        languages: catalogEntries(contents.languages, "language"),
+        difficulties: catalogEntries(contents.difficulties, "difficulty"),
+        levels: catalogLevelIds(contents.levels || [])
+    };
+}
+
+/**
+ * Read and validate the score plausibility rules
+ * @param {string} value - Path of the rules file
+ * @returns {{file: string, action: string, defaults: Object, global: Object, levels: Array<Object>}} The file and its rules
+ */
+function scoreRules(value) {
+    const file = path.resolve(String(value));
+    const rules = readJsonFile(file, "score rules");
+
+    // "reject" refuses out-of-bounds scores, "flag" accepts them; both record the reason
+    const action = rules.action || "reject";
+    if (!["reject", "flag"].includes(action)) {
+        throw new Error(`invalid action "${action}": expected reject or flag`);
+    }
+
+    return {
+        file,
+        action,
+        defaults: rules.defaults || {},
+        global: rules.global || {},
+        levels: rules.levels || []
+    };
+}
+
+/**
+ * Read and validate the nickname moderation lists
+ * @param {string} value - Path of the moderation file
+ * @returns {{file: string, action: string, placeholder: string, blocked_words: Object<string, string[]>}} The file and its lists
+ */
+function moderationLists(value) {
+    const file = path.resolve(String(value));
+    const lists = readJsonFile(file, "moderation lists");
+
+    // "reject" refuses blocked nicknames, "replace" swaps them for a placeholder
+    const action = lists.action || "reject";
+    if (!["reject", "replace"].includes(action)) {
+        throw new Error(`invalid action "${action}": expected reject or replace`);
+    }
+
+    const blocked_words = lists.blocked_words || {};
+    for (const [language, words] of Object.entries(blocked_words)) {
+        if (!Array.isArray(words) || words.some(word => typeof word !== "string")) {
+            throw new Error(`blocked words for "${language}" must be a list of strings`);
+        }
+    }
+
+    return { file, action, placeholder: lists.placeholder || "Player", blocked_words };
+}
+
+// Every setting, keyed by its name in the config file
+const SETTINGS = {
+    port: { env: "PORT", default: 3000, parse: integerBetween(1, 65535) },
+    storage_driver: { env: "STORAGE_DRIVER", default: "sheets", parse: oneOf(["sheets", "local"]) },
+    // No default, so a deploy that forgets it can't write to another environment's spreadsheet
+    spreadsheet_id: { env: "SPREADSHEET_ID", default: null, parse: spreadsheetId },
+    // Only read from the environment, so credentials never end up in a config file
+    google_service_account_json: { env: "GOOGLE_SERVICE_ACCOUNT_JSON", default: null, parse: serviceAccount, secret: true },
+    admin_token: { env: "ADMIN_TOKEN", default: null, parse: adminToken, secret: true },
+    signature_secret: { env: "SIGNATURE_SECRET", default: null, parse: String, secret: true },
+    local_data_file: { env: "LOCAL_DATA_FILE", default: "data/leaderboard.json", parse: value => path.resolve(String(value)) },
+    local_seed_levels: { env: "LOCAL_SEED_LEVELS", default: "", parse: value => String(value).split(",").map(level => level.trim()).filter(Boolean) },
+    global_scores_sheet: { env: "GLOBAL_SCORES_SHEET", default: "global_scores", parse: sheetName },
+    players_sheet: { env: "PLAYERS_SHEET", default: "players", parse: sheetName },
+    flagged_scores_sheet: { env: "FLAGGED_SCORES_SHEET", default: "flagged_scores", parse: sheetName },
+    moderation_log_sheet: { env: "MODERATION_LOG_SHEET", default: "moderation_log", parse: sheetName },
+    max_leaderboard_entries: { env: "MAX_LEADERBOARD_ENTRIES", default: 100, parse: integerBetween(1, 1000) },
+    leaderboard_timezone: { env: "LEADERBOARD_TIMEZONE", default: "UTC", parse: timeZone },
+    // Parsed into each file's contents; the startup summary only shows the file
+    catalog_file: { env: "CATALOG_FILE", default: path.join(__dirname, "..", "config", "catalog.json"), parse: catalog, show: value => value.file },
+    seasons_file: { env: "SEASONS_FILE", default: path.join(__dirname, "..", "config", "seasons.json"), parse: seasonSchedule, show: value => value.file },
+    score_rules_file: { env: "SCORE_RULES_FILE", default: path.join(__dirname, "..", "config", "score-rules.json"), parse: scoreRules, show: value => value.file },
+    moderation_file: { env: "MODERATION_FILE", default: path.join(__dirname, "..", "config", "moderation.json"), parse: moderationLists, show: value => value.file },
+    level_board_mode: { env: "LEVEL_BOARD_MODE", default: "all", parse: oneOf(["best", "all"]) },
+    batch_max_results: { env: "BATCH_MAX_RESULTS", default: 50, parse: integerBetween(1, 500) },
+    batch_max_age_hours: { env: "BATCH_MAX_AGE_HOURS", default: 72, parse: integerBetween(1, 24 * 30) },
+    idempotency_ttl_seconds: { env: "IDEMPOTENCY_TTL_SECONDS", default: 86400, parse: integerBetween(60, 7 * 86400) },
+    player_index_refresh_seconds: { env: "PLAYER_INDEX_REFRESH_SECONDS", default: 60, parse: integerBetween(0, 3600) },
+    read_cache_ttl_seconds: { env: "READ_CACHE_TTL_SECONDS", default: 30, parse: integerBetween(0, 3600) },
+    sheets_max_retries: { env: "SHEETS_MAX_RETRIES", default: 5, parse: integerBetween(0, 10) },
+    sheets_request_deadline_seconds: { env: "SHEETS_REQUEST_DEADLINE_SECONDS", default: 30, parse: integerBetween(1, 300) },
+    signature_mode: { env: "SIGNATURE_MODE", default: "off", parse: oneOf(["off", "log", "enforce"]) },
+    signature_max_age_seconds: { env: "SIGNATURE_MAX_AGE_SECONDS", default: 300, parse: integerBetween(1, 3600) },
+    run_token_mode: { env: "RUN_TOKEN_MODE", default: "off", parse: oneOf(["off", "log", "enforce"]) },
+    run_token_ttl_seconds: { env: "RUN_TOKEN_TTL_SECONDS", default: 1800, parse: integerBetween(60, 86400) },
+    run_time_tolerance_seconds: { env: "RUN_TIME_TOLERANCE_SECONDS", default: 2, parse: numberBetween(0, 60) },
+    trust_proxy: { env: "TRUST_PROXY", default: 1, parse: integerBetween(0, 10) },
+    rate_limit_submit_ip_burst: { env: "RATE_LIMIT_SUBMIT_IP_BURST", default: 30, parse: numberBetween(0, 100000) },
+    rate_limit_submit_ip_per_minute: { env: "RATE_LIMIT_SUBMIT_IP_PER_MINUTE", default: 60, parse: numberBetween(0, 100000) },
+    rate_limit_submit_player_burst: { env: "RATE_LIMIT_SUBMIT_PLAYER_BURST", default: 10, parse: numberBetween(0, 100000) },
+    rate_limit_submit_player_per_minute: { env: "RATE_LIMIT_SUBMIT_PLAYER_PER_MINUTE", default: 20, parse: numberBetween(0, 100000) },
+    rate_limit_read_burst: { env: "RATE_LIMIT_READ_BURST", default: 60, parse: numberBetween(0, 100000) },
+    rate_limit_read_per_minute: { env: "RATE_LIMIT_READ_PER_MINUTE", default: 120, parse: numberBetween(0, 100000) }
+};
+
+/**
+ * Read the optional config file
+ * @param {string[]} errors - Problems found so far, appended to
+ * @returns {{file: string|null, values: Object}} The file path and its settings
+ */
+function readConfigFile(errors) {
+    const file = process.env.CONFIG_FILE ? path.resolve(process.env.CONFIG_FILE) : DEFAULT_CONFIG_FILE;
+    if (!process.env.CONFIG_FILE && !fs.existsSync(file)) {
+        return { file: null, values: {} };
+    }
+
+    let values;
+    try {
+        values = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+        errors.push(`CONFIG_FILE ${file} could not be read: ${error.message}`);
+        return { file, values: {} };
+    }
+
+    for (const key of Object.keys(values)) {
+        if (!SETTINGS[key]) {
+            errors.push(`${file}: unknown setting "${key}"`);
+        } else if (SETTINGS[key].secret) {
+            errors.push(`${file}: "${key}" can only be set with the ${SETTINGS[key].env} environment variable`);
+        }
+    }
+
+    return { file, values };
+}
+
+/**
+ * Resolve and validate every setting. Environment variables override the config file,
+ * which overrides the defaults. All problems are reported together before exiting.
+ * @returns {{values: Object, sources: Object}} The settings and where each one came from
+ */
+function loadConfig() {
+    const errors = [];
+    const { file, values: fileValues } = readConfigFile(errors);
+    const values = {};
+    const sources = {};
+
+    for (const [key, setting] of Object.entries(SETTINGS)) {
+        let raw = setting.default;
+        let source = "default";
+        if (process.env[setting.env] !== undefined && process.env[setting.env] !== "") {
+            raw = process.env[setting.env];
+            source = "env";
+        } else if (fileValues[key] !== undefined && !setting.secret) {
+            raw = fileValues[key];
+            source = path.basename(file);
+        }
+
+        sources[key] = source;
+        if (raw === null) {
+            values[key] = null;
+            continue;
+        }
+
+        try {
+            values[key] = setting.parse(raw);
+        } catch (error) {
+            const shown = setting.secret ? "" : ` "${raw}"`;
+            errors.push(`${setting.env}${shown} is invalid (from ${source}): ${error.message}`);
+        }
+    }
+
+    if (values.storage_driver === "sheets" && sources.google_service_account_json === "default") {
+        errors.push("GOOGLE_SERVICE_ACCOUNT_JSON is missing: it is required with STORAGE_DRIVER=sheets");
+    }
+    if (values.storage_driver === "sheets" && sources.spreadsheet_id === "default") {
+        errors.push("SPREADSHEET_ID is missing: it is required with STORAGE_DRIVER=sheets");
+    }
+    if (values.signature_mode && values.signature_mode !== "off" && !values.signature_secret) {
+        errors.push(`SIGNATURE_SECRET is missing: it is required with SIGNATURE_MODE=${values.signature_mode}`);
+    }
+
+    const sheetKeys = ["global_scores_sheet", "players_sheet", "flagged_scores_sheet", "moderation_log_sheet"];
+    const seen = new Map();
+    for (const key of sheetKeys) {
+        if (values[key] && seen.has(values[key])) {
+            errors.push(`${SETTINGS[key].env} and ${SETTINGS[seen.get(values[key])].env} both use the sheet "${values[key]}"`);
+        }
+        seen.set(values[key], key);
+    }
+
+    if (errors.length > 0) {
+        console.error(`❌ Invalid configuration, ${errors.length} problem(s):`);
+        for (const error of errors) {
+            console.error(`   - ${error}`);
+        }
+        process.exit(1);
+    }
+
+    return { values, sources };
+}
+
+const { values, sources } = loadConfig();
+
+console.log("Configuration:");
+for (const [key, setting] of Object.entries(SETTINGS)) {
+    const shown = setting.secret
+        ? (values[key] ? "(set)" : "(not set)")
+        : JSON.stringify(setting.show ? setting.show(values[key]) : values[key]);
+    console.log(`   ${key} = ${shown} [${sources[key]}]`);
+}
+
+module.exports = Object.freeze(values);
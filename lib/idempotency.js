@@ -0,0 +1,128 @@
+// Idempotency keys for score submissions, so a retried request returns the first response instead of scoring twice
+const crypto = require("crypto");
+const config = require("./config");
+
+// How often expired keys are dropped, in milliseconds
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Keys the client may send: 1 to 255 printable ASCII characters, e.g. a UUID
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// Remembered requests by scope, each with the body fingerprint, the response once sent
+// and a promise that settles when the first request finishes
+const requests = new Map();
+
+// The remembered request each response belongs to, so routes can report a stored score
+const entriesByResponse = new WeakMap();
+
+setInterval(() => {
+    const now = Date.now();
+    for (const [scope, entry] of requests.entries()) {
+        if (entry.response && entry.expiresAt <= now) {
+            requests.delete(scope);
+        }
+    }
+}, SWEEP_INTERVAL_MS).unref();
+
+/**
+ * Hash a request body so a key reused for a different submission can be told apart
+ * @param {Object} req - The Express request
+ * @returns {string} Hex SHA-256 of the body
+ */
+function fingerprintBody(req) {
+    return crypto.createHash("sha256").update(req.rawBody || JSON.stringify(req.body || {})).digest("hex");
+}
+
+/**
+ * Express middleware that replays the stored response when a submission is retried with the same
+ * Idempotency-Key header. Requests without the header are processed as usual.
+ * @param {Object} req - The Express request
+ * @param {Object} res - The Express response
+ * @param {Function} next - The next middleware
+ * @returns {Promise<void>}
+ */
+async function idempotency(req, res, next) {
+    const key = req.get("Idempotency-Key");
+    if (key === undefined) {
+        return next();
+    }
+
+    if (!KEY_PATTERN.test(key)) {
+        return res.status(400).json({ error: "Invalid Idempotency-Key", reason: "Expected 1 to 255 printable ASCII characters" });
+    }
+
+    // Keys only have to be unique per player and route
+    const scope = [req.method, req.path, (req.body && req.body.player_id) || "", key].join(" ");
+    const fingerprint = fingerprintBody(req);
+
+    let entry = requests.get(scope);
+    // A retry that arrives while the first request is still running waits for its response
+    while (entry && !entry.response) {
+        if (entry.fingerprint !== fingerprint) {
+            break;
+        }
+        await entry.finished;
+        entry = requests.get(scope);
+    }
+
+    if (entry && entry.fingerprint !== fingerprint) {
+        console.warn(`⚠️ Idempotency-Key ${key} reused with a different body on ${req.method} ${req.path}`);
+        return res.status(422).json({ error: "Idempotency-Key reused", reason: "The key was already used for a different request" });
+    }
+
+    if (entry) {
+        console.log(`📦 Replaying response for Idempotency-Key ${key} on ${req.method} ${req.path}`);
+        res.set("Idempotent-Replayed", "true");
+        return res.status(entry.response.status).json(entry.response.body);
+    }
+
+    let finish;
+    entry = { fingerprint, response: null, expiresAt: 0, committed: false, finished: new Promise(resolve => { finish = resolve; }) };
+    requests.set(scope, entry);
+    entriesByResponse.set(res, entry);
+
+    /**
+     * Let waiting retries continue, forgetting the key if there is no response to replay
+     * @returns {void}
+     */
+    function settle() {
+        if (!entry.response && requests.get(scope) === entry) {
+            requests.delete(scope);
+        }
+        finish();
+    }
+
+    // The response is stored even if the client gave up waiting, which is when it retries
+    const json = res.json.bind(res);
+    res.json = body => {
+        // Server errors aren't remembered, so the retry gets another chance, unless the score was already stored
+        if (res.statusCode < 500 || entry.committed) {
+            entry.response = { status: res.statusCode, body };
+            entry.expiresAt = Date.now() + config.idempotency_ttl_seconds * 1000;
+        }
+        settle();
+        return json(body);
+    };
+    res.on("finish", settle);
+
+    next();
+}
+
+/**
+ * Record that a submission's score was stored, in `res.locals.recorded`. From then on the response
+ * to its Idempotency-Key is remembered even if a later step fails, so a retry doesn't store the score again.
+ * @param {Object} res - The Express response
+ * @returns {void}
+ */
+function markRecorded(res) {
+    res.locals.recorded = true;
+    const entry = entriesByResponse.get(res);
+    if (entry) {
+        entry.committed = true;
+    }
+}
+
+module.exports = {
+    idempotency,
+    markRecorded
+};
@@ -0,0 +1,154 @@
+// Blocked-word filter for nicknames shown on public leaderboards
+const config = require("./config");
+const storage = require("./storage");
+const { withSheetLocks } = require("./write-queue");
+
+// Digits and symbols commonly used in place of letters
+const LEET_MAP = {
+    "0": "o", "1": "i", "3": "e", "4": "a", "5": "s", "7": "t", "8": "b", "9": "g",
+    "@": "a", "$": "s", "!": "i", "|": "i", "+": "t"
+};
+
+// Cyrillic and Greek letters that look like Latin ones
+const HOMOGLYPH_MAP = {
+    "а": "a", "в": "b", "е": "e", "ё": "e", "к": "k", "м": "m", "н": "h", "о": "o", "р": "p",
+    "с": "c", "т": "t", "у": "y", "х": "x", "і": "i", "ј": "j", "ѕ": "s",
+    "α": "a", "β": "b", "ε": "e", "ι": "i", "κ": "k", "ν": "v", "ο": "o", "ρ": "p", "τ": "t", "υ": "u", "χ": "x",
+    // Not split off by NFKD like other Polish diacritics
+    "ł": "l"
+};
+
+/**
+ * Fold text so disguised spellings compare equal: lowercase, leetspeak and homoglyphs
+ * mapped to plain letters, diacritics and separators removed, repeated letters collapsed.
+ * Nicknames and blocked words are folded the same way.
+ * @param {string} text - The text to fold
+ * @returns {string} The folded text
+ */
+function foldText(text) {
+    const mapped = [...String(text).normalize("NFKC").toLowerCase()]
+        .map(char => LEET_MAP[char] || HOMOGLYPH_MAP[char] || char)
+        .join("");
+
+    return mapped
+        .normalize("NFKD")
+        .replace(/\p{M}/gu, "") // diacritics
+        .replace(/[^\p{L}]/gu, "") // spaces, dots, underscores and leftover digits
+        .replace(/(.)\1+/gu, "$1"); // "fuuuck" -> "fuck"
+}
+
+/**
+ * Split a nickname into folded words at spaces, punctuation and lower-to-upper case changes.
+ * Runs of single letters are joined back into one word, so "K.u.r.w.4" is still read as "kurwa".
+ * @param {string} text - The nickname
+ * @returns {string[]} The folded words
+ */
+function splitWords(text) {
+    const parts = String(text).normalize("NFKC")
+        .replace(/(\p{Ll})(\p{Lu})/gu, "$1 $2")
+        .split(/([^\p{L}\p{M}\p{N}])/u)
+        // Leetspeak symbols are part of the word, everything else separates words
+        .reduce((words, part, i) => {
+            if (i % 2 === 1 && !LEET_MAP[part]) {
+                words.push("");
+            } else {
+                words[words.length - 1] += part;
+            }
+            return words;
+        }, [""])
+        .map(foldText)
+        .filter(word => word.length > 0);
+
+    const words = [];
+    for (let i = 0; i < parts.length; i++) {
+        if (parts[i].length === 1 && i > 0 && parts[i - 1].length === 1) {
+            words[words.length - 1] += parts[i];
+        } else {
+            words.push(parts[i]);
+        }
+    }
+    return words.map(word => word.replace(/(.)\1+/gu, "$1"));
+}
+
+// Read and validated by the config layer
+const { file: MODERATION_FILE, action, placeholder, blocked_words } = config.moderation_file;
+
+/**
+ * Fold the blocked-word lists for matching
+ * @returns {Array<{language: string, word: string, folded: string, prefix: boolean}>} The blocked words
+ */
+function foldBlockedWords() {
+    const blocked = [];
+    for (const [language, words] of Object.entries(blocked_words)) {
+        for (const word of words) {
+            // "pierdol*" also blocks every word starting with it
+            const prefix = word.endsWith("*");
+            const folded = foldText(prefix ? word.slice(0, -1) : word);
+            if (folded) {
+                blocked.push({ language, word, folded, prefix });
+            }
+        }
+    }
+    return blocked;
+}
+
+const moderation = { action, placeholder, blocked: foldBlockedWords() };
+console.log(`Loaded ${moderation.blocked.length} blocked nickname words from ${MODERATION_FILE} (action: ${moderation.action})`);
+
+/**
+ * Find the first blocked word in a nickname. Blocked words match whole words of the nickname,
+ * or their start for words ending in "*", so names like "Scunthorpe" or "Slutsky" aren't caught.
+ * @param {string} nickname - The nickname
+ * @returns {{language: string, word: string}|null} The blocked word, or null if the nickname is clean
+ */
+function findBlockedWord(nickname) {
+    const words = splitWords(nickname);
+    const match = moderation.blocked.find(entry =>
+        words.some(word => entry.prefix ? word.startsWith(entry.folded) : word === entry.folded));
+    return match ? { language: match.language, word: match.word } : null;
+}
+
+/**
+ * Check a nickname against the blocked words, logging every hit for review
+ * @param {string} nickname - The normalized nickname
+ * @param {{route: string, player_id: string}} context - Where the nickname was submitted
+ * @returns {Promise<{nickname: string, rejected: boolean}>} The nickname to use, or rejected
+ */
+async function moderateNickname(nickname, { route, player_id }) {
+    const match = findBlockedWord(nickname);
+    if (!match) {
+        return { nickname, rejected: false };
+    }
+
+    const rejected = moderation.action === "reject";
+    const replacement = rejected ? "" : `${moderation.placeholder}${Math.floor(1000 + Math.random() * 9000)}`;
+
+    console.warn(`🚫 Blocked nickname "${nickname}" from ${player_id || "unknown player"} on ${route} ` +
+        `(matched ${match.language} "${match.word}", ${rejected ? "rejected" : `replaced with ${replacement}`})`);
+
+    await withSheetLocks([storage.MODERATION_LOG_SHEET], () => storage.recordModerationEvent({
+        route,
+        player_id,
+        nickname,
+        language: match.language,
+        matched: match.word,
+        action: moderation.action,
+        replacement
+    }));
+
+    return { nickname: replacement, rejected };
+}
+
+/**
+ * Check whether a nickname contains a blocked word, without logging anything
+ * @param {string} nickname - The nickname
+ * @returns {boolean} True if the nickname is blocked
+ */
+function isNicknameBlocked(nickname) {
+    return findBlockedWord(nickname) !== null;
+}
+
+module.exports = {
+    isNicknameBlocked,
+    moderateNickname
+};
@@ -0,0 +1,106 @@
+// Nickname normalization, validation and uniqueness checks
+
+const NICKNAME_MAX_LENGTH = 32;
+
+// Names no player may take, compared by nickname key
+const RESERVED_NICKNAMES = ["admin", "administrator", "moderator", "mod", "system", "server", "typefall", "null", "undefined"];
+
+// Number of alternatives offered when a nickname is taken
+const SUGGESTION_COUNT = 3;
+
+/**
+ * Normalize a nickname for display and storage: Unicode NFKC, trimmed, inner whitespace collapsed
+ * @param {any} nickname - The nickname as sent by the client
+ * @returns {string|null} The normalized nickname, or null if the client didn't send a string
+ */
+function normalizeNickname(nickname) {
+    if (typeof nickname !== "string") {
+        return null;
+    }
+    return nickname.normalize("NFKC").trim().replace(/\s+/g, " ");
+}
+
+/**
+ * Get the key two nicknames are compared by, so "Ann", "ANN" and "Ａｎｎ" collide
+ * @param {string} nickname - The nickname
+ * @returns {string} The comparison key
+ */
+function nicknameKey(nickname) {
+    return normalizeNickname(nickname).toLowerCase().normalize("NFKC");
+}
+
+/**
+ * Check that a normalized nickname is acceptable
+ * @param {string} nickname - The normalized nickname
+ * @returns {string|null} Why the nickname is invalid, or null if it is valid
+ */
+function validateNickname(nickname) {
+    if (!nickname) {
+        return "Nickname is empty";
+    }
+
+    if ([...nickname].length > NICKNAME_MAX_LENGTH) {
+        return `Nickname is longer than ${NICKNAME_MAX_LENGTH} characters`;
+    }
+
+    if (/\p{C}/u.test(nickname)) {
+        return "Nickname contains invisible or control characters";
+    }
+
+    if (RESERVED_NICKNAMES.includes(nicknameKey(nickname))) {
+        return "Nickname is reserved";
+    }
+
+    return null;
+}
+
+/**
+ * Find the player, other than the given one, who already uses a nickname
+ * @param {Array<{player_id: string, player_name: string}>} players - All registered players
+ * @param {string} nickname - The nickname to look up
+ * @param {string} player_id - The player asking for the nickname, who may already own it
+ * @returns {{player_id: string, player_name: string}|null} The other owner, if any
+ */
+function findNicknameOwner(players, nickname, player_id) {
+    const key = nicknameKey(nickname);
+    return players.find(player => player.player_id !== player_id && nicknameKey(player.player_name || "") === key) || null;
+}
+
+/**
+ * Suggest free variants of a taken nickname
+ * @param {Array<{player_id: string, player_name: string}>} players - All registered players
+ * @param {string} nickname - The taken nickname
+ * @returns {string[]} Up to SUGGESTION_COUNT free nicknames
+ */
+function suggestNicknames(players, nickname) {
+    const takenKeys = new Set(players.map(player => nicknameKey(player.player_name || "")));
+    const base = [...nickname].slice(0, NICKNAME_MAX_LENGTH - 4).join("");
+    const suggestions = [];
+
+    const tryCandidate = candidate => {
+        if (suggestions.length < SUGGESTION_COUNT &&
+            !takenKeys.has(nicknameKey(candidate)) &&
+            !validateNickname(candidate)) {
+            suggestions.push(candidate);
+            takenKeys.add(nicknameKey(candidate));
+        }
+    };
+
+    // Short numeric suffixes first, then random ones once those run out
+    for (let n = 1; n <= 9; n++) {
+        tryCandidate(`${base}${n}`);
+    }
+    for (let attempt = 0; attempt < 50 && suggestions.length < SUGGESTION_COUNT; attempt++) {
+        tryCandidate(`${base}${Math.floor(100 + Math.random() * 900)}`);
+    }
+
+    return suggestions;
+}
+
+module.exports = {
+    normalizeNickname,
+    nicknameKey,
+    validateNickname,
+    findNicknameOwner,
+    suggestNicknames
+};
@@ -0,0 +1,111 @@
+// Offset/limit pages and "around me" windows over ranked leaderboards
+
+// Default and largest number of neighbours shown on each side of a player
+const DEFAULT_RADIUS = 5;
+const MAX_RADIUS = 50;
+
+/**
+ * Parse an optional non-negative integer query parameter
+ * @param {Object} query - The request query
+ * @param {string} name - The parameter name
+ * @param {number} defaultValue - The value to use when the parameter is missing
+ * @param {number} max - The largest accepted value
+ * @returns {{value?: number, error?: string}} The value, or why it is invalid
+ */
+function parseIntParam(query, name, defaultValue, max) {
+    if (query[name] === undefined || query[name] === "") {
+        return { value: defaultValue };
+    }
+
+    const value = Number(query[name]);
+    if (!Number.isInteger(value) || value < 0 || value > max) {
+        return { error: `Invalid ${name}: ${query[name]}. Expected a whole number from 0 to ${max}` };
+    }
+    return { value };
+}
+
+/**
+ * Read the pagination parameters of a leaderboard request.
+ * `offset`/`limit` select a page, `around` selects the `radius` entries on each side of a player.
+ * @param {Object} query - The request query
+ * @param {number} maxLimit - The largest page size
+ * @returns {{page?: Object|null, error?: string}} The page to return, null for the whole board, or why the parameters are invalid
+ */
+function parsePageParams(query, maxLimit) {
+    const { around } = query;
+    const paginated = ["offset", "limit", "around", "radius"].some(name => query[name] !== undefined);
+    if (!paginated) {
+        return { page: null };
+    }
+
+    if (around !== undefined && (query.offset !== undefined || query.limit !== undefined)) {
+        return { error: "Use either around or offset/limit, not both" };
+    }
+
+    if (around !== undefined) {
+        if (!around) {
+            return { error: "Missing player_id for around" };
+        }
+        const radius = parseIntParam(query, "radius", DEFAULT_RADIUS, MAX_RADIUS);
+        if (radius.error) {
+            return { error: radius.error };
+        }
+        return { page: { around: String(around), radius: radius.value } };
+    }
+
+    if (query.radius !== undefined) {
+        return { error: "radius can only be used with around" };
+    }
+
+    const offset = parseIntParam(query, "offset", 0, Number.MAX_SAFE_INTEGER);
+    if (offset.error) {
+        return { error: offset.error };
+    }
+    const limit = parseIntParam(query, "limit", maxLimit, maxLimit);
+    if (limit.error) {
+        return { error: limit.error };
+    }
+    return { page: { offset: offset.value, limit: limit.value } };
+}
+
+/**
+ * Cut a page out of ranked entries
+ * @param {Array<Object>} entries - The ranked entries, best first
+ * @param {Object} page - The page from parsePageParams
+ * @returns {{body?: Object, error?: string}} The response body with total count metadata, or why the page is empty
+ */
+function paginate(entries, page) {
+    const total = entries.length;
+
+    if (page.around !== undefined) {
+        const index = entries.findIndex(entry => entry.player_id === page.around);
+        if (index === -1) {
+            return { error: `Player ${page.around} is not on this leaderboard` };
+        }
+        const offset = Math.max(0, index - page.radius);
+        const slice = entries.slice(offset, index + page.radius + 1);
+        return {
+            body: {
+                total,
+                offset,
+                limit: slice.length,
+                player_position: entries[index].position,
+                entries: slice
+            }
+        };
+    }
+
+    return {
+        body: {
+            total,
+            offset: page.offset,
+            limit: page.limit,
+            entries: entries.slice(page.offset, page.offset + page.limit)
+        }
+    };
+}
+
+module.exports = {
+    parsePageParams,
+    paginate
+};
@@ -0,0 +1,62 @@
+// Ranking orders shared by position recalculation, trimming and leaderboard reads
+
+/**
+ * Compare entries by score (descending) and then by timestamp (descending) for tiebreaking
+ * @param {{score: number, timestamp: string}} a - First entry
+ * @param {{score: number, timestamp: string}} b - Second entry
+ * @returns {number} Negative if a ranks above b
+ */
+function compareByScore(a, b) {
+    if (b.score !== a.score) {
+        return b.score - a.score; // Higher score first
+    }
+    // If scores are equal, sort by timestamp (newest first)
+    return b.timestamp.localeCompare(a.timestamp);
+}
+
+/**
+ * Compare entries by completion time (ascending), falling back to the score order
+ * @param {{time: number, score: number, timestamp: string}} a - First entry
+ * @param {{time: number, score: number, timestamp: string}} b - Second entry
+ * @returns {number} Negative if a ranks above b
+ */
+function compareByTime(a, b) {
+    if (a.time !== b.time) {
+        return a.time - b.time; // Fastest clear first
+    }
+    return compareByScore(a, b);
+}
+
+// Supported `sort` values for level leaderboards
+const SORT_MODES = {
+    score: {
+        compare: compareByScore,
+        includes: () => true
+    },
+    time: {
+        compare: compareByTime,
+        // Runs without a recorded time can't take part in a speed ranking
+        includes: entry => entry.time > 0
+    }
+};
+
+/**
+ * Rank entries with the given sort mode, assigning 1-based positions
+ * @param {Array<Object>} entries - The entries to rank
+ * @param {string} sort - A key of SORT_MODES
+ * @returns {Array<Object>} New array of ranked entries with `position` set
+ */
+function rankEntries(entries, sort = "score") {
+    const mode = SORT_MODES[sort];
+    return entries
+        .filter(mode.includes)
+        .sort(mode.compare)
+        .map((entry, i) => ({ ...entry, position: i + 1 }));
+}
+
+module.exports = {
+    SORT_MODES,
+    compareByScore,
+    compareByTime,
+    rankEntries
+};
@@ -0,0 +1,101 @@
+// Token-bucket rate limiting for routes that hit the Sheets API
+const config = require("./config");
+
+// How often idle buckets are dropped, in milliseconds
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Create an Express middleware that limits requests with one token bucket per key
+ * @param {Object} options - Limiter options
+ * @param {string} options.name - Name used in logs
+ * @param {number} options.burst - Bucket capacity, i.e. how many requests may arrive at once
+ * @param {number} options.perMinute - Tokens added back per minute; 0 disables the limiter
+ * @param {Function} options.key - Returns the bucket key for a request, or a falsy value to skip it
+ * @returns {Function} The middleware
+ */
+function createRateLimiter({ name, burst, perMinute, key }) {
+    if (perMinute <= 0 || burst <= 0) {
+        return (req, res, next) => next();
+    }
+
+    const refillPerMs = perMinute / 60000;
+    const buckets = new Map();
+
+    /**
+     * Top up a bucket for the time since it was last used
+     * @param {{tokens: number, updated: number}} bucket - The bucket
+     * @param {number} now - Current time in milliseconds
+     * @returns {void}
+     */
+    function refill(bucket, now) {
+        bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updated) * refillPerMs);
+        bucket.updated = now;
+    }
+
+    // Forget buckets that have filled back up, they behave exactly like new ones
+    setInterval(() => {
+        const now = Date.now();
+        for (const [bucketKey, bucket] of buckets.entries()) {
+            refill(bucket, now);
+            if (bucket.tokens >= burst) {
+                buckets.delete(bucketKey);
+            }
+        }
+    }, SWEEP_INTERVAL_MS).unref();
+
+    return (req, res, next) => {
+        const bucketKey = key(req);
+        if (!bucketKey) {
+            return next();
+        }
+
+        const now = Date.now();
+        let bucket = buckets.get(bucketKey);
+        if (!bucket) {
+            bucket = { tokens: burst, updated: now };
+            buckets.set(bucketKey, bucket);
+        }
+        refill(bucket, now);
+
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return next();
+        }
+
+        const retryAfter = Math.ceil((1 - bucket.tokens) / refillPerMs / 1000);
+        console.warn(`⚠️ Rate limit ${name} exceeded for ${bucketKey} on ${req.method} ${req.path}, retry after ${retryAfter}s`);
+        res.set("Retry-After", String(retryAfter));
+        res.status(429).json({ error: "Too many requests", retry_after: retryAfter });
+    };
+}
+
+// Score submissions, per client IP
+const submitIpLimit = createRateLimiter({
+    name: "submit-ip",
+    burst: config.rate_limit_submit_ip_burst,
+    perMinute: config.rate_limit_submit_ip_per_minute,
+    key: req => req.ip
+});
+
+// Score submissions, per player
+const submitPlayerLimit = createRateLimiter({
+    name: "submit-player",
+    burst: config.rate_limit_submit_player_burst,
+    perMinute: config.rate_limit_submit_player_per_minute,
+    key: req => req.body && req.body.player_id ? `player:${req.body.player_id}` : null
+});
+
+// Leaderboard reads, per client IP
+const readIpLimit = createRateLimiter({
+    name: "read-ip",
+    burst: config.rate_limit_read_burst,
+    perMinute: config.rate_limit_read_per_minute,
+    key: req => req.ip
+});
+
+// The player limit goes after the signature check, so a forged player_id can't use up another player's budget
+module.exports = {
+    submitIpLimit,
+    submitPlayerLimit,
+    readLimits: [readIpLimit]
+};
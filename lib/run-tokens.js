@@ -0,0 +1,191 @@
+// Server-issued run tokens proving a level attempt was started before its score is posted
+const crypto = require("crypto");
+const config = require("./config");
+
+// "off" skips checks, "log" reports failures but accepts the score, "enforce" rejects it
+const RUN_TOKEN_MODE = config.run_token_mode;
+
+// How long a run token stays valid, in seconds
+const RUN_TOKEN_TTL_SECONDS = config.run_token_ttl_seconds;
+
+// Allowed difference between the reported time and the time measured by the server, in seconds; 0 allows none
+const RUN_TIME_TOLERANCE_SECONDS = config.run_time_tolerance_seconds;
+
+// Tokens a player may hold at once; a batch of offline runs needs one per result
+const MAX_OPEN_RUNS_PER_PLAYER = config.batch_max_results;
+
+// How often expired tokens are dropped, in milliseconds
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Outstanding tokens mapped to the run they were issued for
+const runs = new Map();
+
+// Each player's outstanding tokens, oldest first
+const runsByPlayer = new Map();
+
+/**
+ * Forget a token
+ * @param {string} token - The run token
+ * @returns {void}
+ */
+function forgetRun(token) {
+    const run = runs.get(token);
+    if (!run) {
+        return;
+    }
+    runs.delete(token);
+
+    const tokens = runsByPlayer.get(run.player_id);
+    tokens.delete(token);
+    if (tokens.size === 0) {
+        runsByPlayer.delete(run.player_id);
+    }
+}
+
+setInterval(() => {
+    const now = Date.now();
+    for (const [token, run] of runs.entries()) {
+        if (run.expires_at <= now) {
+            forgetRun(token);
+        }
+    }
+}, SWEEP_INTERVAL_MS).unref();
+
+/**
+ * Issue a token for a new level attempt. A player over MAX_OPEN_RUNS_PER_PLAYER loses their oldest token.
+ * @param {{player_id: string, level_id: string, language: string, difficulty: string}} binding - The run the token is bound to
+ * @returns {{run_token: string, expires_at: string}} The token and its expiry time
+ */
+function issueRunToken({ player_id, level_id, language, difficulty }) {
+    const now = Date.now();
+
+    const token = crypto.randomBytes(24).toString("base64url");
+    const run = {
+        player_id: String(player_id),
+        level_id: String(level_id),
+        language: String(language),
+        difficulty: String(difficulty),
+        issued_at: now,
+        expires_at: now + RUN_TOKEN_TTL_SECONDS * 1000
+    };
+    runs.set(token, run);
+
+    if (!runsByPlayer.has(run.player_id)) {
+        runsByPlayer.set(run.player_id, new Set());
+    }
+    const tokens = runsByPlayer.get(run.player_id);
+    tokens.add(token);
+    if (tokens.size > MAX_OPEN_RUNS_PER_PLAYER) {
+        console.warn(`⚠️ Player ${run.player_id} has more than ${MAX_OPEN_RUNS_PER_PLAYER} open runs, dropping the oldest`);
+        forgetRun(tokens.values().next().value);
+    }
+
+    return { run_token: token, expires_at: new Date(run.expires_at).toISOString() };
+}
+
+/**
+ * Check a level submission against its run token without using it up
+ * @param {Object} body - The /level-score request body
+ * @returns {string|null} The reason the submission is rejected, or null if it is valid
+ */
+function inspectRunToken(body) {
+    const { run_token, player_id, level_id, language, difficulty, time } = body;
+
+    if (!run_token) {
+        return "Missing run token";
+    }
+
+    const run = runs.get(run_token);
+    const now = Date.now();
+    if (!run || run.expires_at <= now) {
+        return "Run token is unknown or expired";
+    }
+    if (run.held) {
+        return "Run token is already being used by another submission";
+    }
+
+    if (run.player_id !== String(player_id) ||
+        run.level_id !== String(level_id) ||
+        run.language !== String(language) ||
+        run.difficulty !== String(difficulty)) {
+        return "Run token was issued for a different player or level";
+    }
+
+    // Without a reported time the elapsed-time check below would pass any submission
+    if (!(Number(time) > 0)) {
+        return "A run with a token must report its time";
+    }
+
+    const elapsed = (now - run.issued_at) / 1000;
+    if (elapsed + RUN_TIME_TOLERANCE_SECONDS < Number(time)) {
+        return `Run lasted ${elapsed.toFixed(1)}s on the server but reported ${time}s`;
+    }
+
+    return null;
+}
+
+/**
+ * Check one level result against its run token according to RUN_TOKEN_MODE.
+ * A valid token is held until the response is sent, so a concurrent submission can't use it too;
+ * it is only used up by spendRunToken once the score is stored, and released otherwise.
+ * @param {Object} result - The level result, with player_id, level_id, language, difficulty, time and run_token
+ * @param {Object} res - The Express response of the submission
+ * @returns {string|null} The reason the result is rejected, or null if it is accepted
+ */
+function checkRunToken(result, res) {
+    if (RUN_TOKEN_MODE === "off") {
+        return null;
+    }
+
+    const reason = inspectRunToken(result);
+    if (!reason) {
+        const run = runs.get(result.run_token);
+        run.held = true;
+        res.once("close", () => {
+            run.held = false;
+        });
+        return null;
+    }
+
+    if (RUN_TOKEN_MODE === "log") {
+        console.warn(`⚠️ Run token check failed for player ${result.player_id} (accepted, log-only mode): ${reason}`);
+        return null;
+    }
+
+    console.error(`❌ Run token check failed for player ${result.player_id}: ${reason}`);
+    return reason;
+}
+
+/**
+ * Use up a run token once the score it was submitted with is stored
+ * @param {string} token - The run token, if any
+ * @returns {void}
+ */
+function spendRunToken(token) {
+    if (token) {
+        forgetRun(String(token));
+    }
+}
+
+/**
+ * Express middleware that verifies run tokens on level submissions according to RUN_TOKEN_MODE
+ * @param {Object} req - The Express request
+ * @param {Object} res - The Express response
+ * @param {Function} next - The next middleware
+ * @returns {void}
+ */
+function verifyRunToken(req, res, next) {
+    const reason = checkRunToken(req.body || {}, res);
+    if (!reason) {
+        return next();
+    }
+
+    res.status(401).json({ error: "Invalid run token", reason });
+}
+
+module.exports = {
+    issueRunToken,
+    checkRunToken,
+    spendRunToken,
+    verifyRunToken
+};
@@ -0,0 +1,124 @@
+// Plausibility bounds for submitted scores, loaded from a rules file game designers can tune
+const config = require("./config");
+const storage = require("./storage");
+const { withSheetLocks } = require("./write-queue");
+
+// Bound names a level rule may set
+const LEVEL_BOUNDS = ["max_score", "min_time", "max_score_per_second"];
+
+// Read and validated by the config layer
+const { file: SCORE_RULES_FILE, ...rules } = config.score_rules_file;
+console.log(`Loaded ${rules.levels.length} level score rules from ${SCORE_RULES_FILE} (action: ${rules.action})`);
+
+/**
+ * Get the rules file contents
+ * @returns {Object} The rules
+ */
+function getRules() {
+    return rules;
+}
+
+/**
+ * Resolve the bounds for a level, language and difficulty. Rules that name more
+ * of the three fields override less specific ones; a missing field matches anything.
+ * @param {string} level_id - The level ID
+ * @param {string} language - The language code
+ * @param {string} difficulty - The difficulty level
+ * @returns {{max_score: ?number, min_time: ?number, max_score_per_second: ?number}} The bounds
+ */
+function getLevelBounds(level_id, language, difficulty) {
+    const specificity = rule => ["level_id", "language", "difficulty"].filter(key => rule[key] !== undefined).length;
+
+    const matching = rules.levels
+        .filter(rule =>
+            (rule.level_id === undefined || String(rule.level_id) === String(level_id)) &&
+            (rule.language === undefined || rule.language === language) &&
+            (rule.difficulty === undefined || rule.difficulty === difficulty))
+        .sort((a, b) => specificity(a) - specificity(b)); // stable, so file order breaks ties
+
+    const bounds = {};
+    for (const bound of LEVEL_BOUNDS) {
+        bounds[bound] = rules.defaults[bound] ?? null;
+    }
+    for (const rule of matching) {
+        for (const bound of LEVEL_BOUNDS) {
+            if (rule[bound] !== undefined) {
+                bounds[bound] = rule[bound];
+            }
+        }
+    }
+
+    return bounds;
+}
+
+/**
+ * Check a level score against its bounds
+ * @param {{level_id: string, language: string, difficulty: string, score: number, time: number}} submission - The submission
+ * @returns {string|null} Why the score is out of bounds, or null if it is plausible
+ */
+function checkLevelScore({ level_id, language, difficulty, score, time }) {
+    const bounds = getLevelBounds(level_id, language, difficulty);
+
+    if (bounds.max_score !== null && score > bounds.max_score) {
+        return `Score ${score} is above the maximum of ${bounds.max_score}`;
+    }
+
+    if (bounds.min_time !== null && time < bounds.min_time) {
+        return `Time ${time}s is below the minimum of ${bounds.min_time}s`;
+    }
+
+    if (bounds.max_score_per_second !== null && time > 0 && score / time > bounds.max_score_per_second) {
+        return `${(score / time).toFixed(1)} points per second is above the maximum of ${bounds.max_score_per_second}`;
+    }
+
+    return null;
+}
+
+/**
+ * Check a global score against the global bounds
+ * @param {{total_score: number, levels_completed: number}} submission - The submission
+ * @returns {string|null} Why the score is out of bounds, or null if it is plausible
+ */
+function checkGlobalScore({ total_score, levels_completed }) {
+    const max_total_score = rules.global.max_total_score ?? null;
+    const max_levels_completed = rules.global.max_levels_completed ?? null;
+
+    if (max_total_score !== null && total_score > max_total_score) {
+        return `Total score ${total_score} is above the maximum of ${max_total_score}`;
+    }
+
+    if (max_levels_completed !== null && levels_completed > max_levels_completed) {
+        return `Levels completed ${levels_completed} is above the maximum of ${max_levels_completed}`;
+    }
+
+    return null;
+}
+
+/**
+ * Record an out-of-bounds submission and decide whether it is rejected
+ * @param {{board: string, player_id: string, player_name: string, score: number, time: number}} submission - The submission
+ * @param {string} reason - Why the score is out of bounds
+ * @returns {Promise<boolean>} True if the submission must be rejected
+ */
+async function reviewViolation(submission, reason) {
+    const rejected = rules.action === "reject";
+
+    if (rejected) {
+        console.error(`❌ Score rejected for ${submission.player_name} on ${submission.board}: ${reason}`);
+    } else {
+        console.warn(`⚠️ Score flagged for ${submission.player_name} on ${submission.board}: ${reason}`);
+    }
+
+    await withSheetLocks([storage.FLAGGED_SCORES_SHEET], () =>
+        storage.recordFlaggedScore({ ...submission, action: rules.action, reason }));
+
+    return rejected;
+}
+
+module.exports = {
+    getRules,
+    getLevelBounds,
+    checkLevelScore,
+    checkGlobalScore,
+    reviewViolation
+};
@@ -0,0 +1,76 @@
+// Competitive seasons: the schedule of season start dates and which season is running
+const config = require("./config");
+
+// Read and validated by the config layer
+const { file: SEASONS_FILE, seasons } = config.seasons_file;
+console.log(seasons.length > 0
+    ? `Loaded ${seasons.length} seasons from ${SEASONS_FILE}`
+    : `No seasons in ${SEASONS_FILE}, leaderboards never reset`);
+
+/**
+ * Get the season running at a given time
+ * @param {number} now - Time in milliseconds
+ * @returns {{id: string, name: string, starts_at: string}|null} The season, or null before the first season or without seasons
+ */
+function getSeasonAt(now) {
+    let current = null;
+    for (const season of seasons) {
+        if (season.start <= now) {
+            current = season;
+        }
+    }
+    return current;
+}
+
+/**
+ * Get the ID stamped on scores submitted now
+ * @returns {string} The current season ID, or "" when no season is running
+ */
+function getCurrentSeasonId() {
+    const current = getSeasonAt(Date.now());
+    return current ? current.id : "";
+}
+
+/**
+ * Get the season before a given one
+ * @param {string} seasonId - The season ID
+ * @returns {string} The previous season ID, or "" for the first season
+ */
+function getPreviousSeasonId(seasonId) {
+    const index = seasons.findIndex(season => season.id === seasonId);
+    return index > 0 ? seasons[index - 1].id : "";
+}
+
+/**
+ * List the seasons that have started, with the running one marked
+ * @returns {Array<{id: string, name: string, starts_at: string, current: boolean}>} Seasons, earliest first
+ */
+function getStartedSeasons() {
+    const currentId = getCurrentSeasonId();
+    return seasons
+        .filter(season => season.start <= Date.now())
+        .map(season => ({ id: season.id, name: season.name, starts_at: season.starts_at, current: season.id === currentId }));
+}
+
+/**
+ * Check a `season` query parameter
+ * @param {string} seasonId - The season ID
+ * @returns {string|null} Why the season can't be queried, or null if it has started
+ */
+function checkSeason(seasonId) {
+    const season = seasons.find(entry => entry.id === seasonId);
+    if (!season) {
+        return `Unknown season: ${seasonId}`;
+    }
+    if (season.start > Date.now()) {
+        return `Season ${seasonId} has not started yet`;
+    }
+    return null;
+}
+
+module.exports = {
+    getCurrentSeasonId,
+    getPreviousSeasonId,
+    getStartedSeasons,
+    checkSeason
+};
@@ -0,0 +1,130 @@
+// HMAC signatures for score submissions from the game client
+const crypto = require("crypto");
+const config = require("./config");
+
+// Shared secret, also built into the game client; the config layer requires it unless the mode is "off"
+const SIGNATURE_SECRET = config.signature_secret || "";
+
+// "off" skips checks, "log" reports failures but accepts the request, "enforce" rejects it
+const SIGNATURE_MODE = config.signature_mode;
+
+// How far the client's timestamp may be from the server clock, in seconds
+const SIGNATURE_MAX_AGE_SECONDS = config.signature_max_age_seconds;
+
+// Nonces seen within the allowed clock window, mapped to when they can be forgotten
+const seenNonces = new Map();
+
+/**
+ * Build the string the client signs
+ * @param {string} method - The HTTP method
+ * @param {string} path - The request path
+ * @param {string} timestamp - Unix time in seconds, as sent by the client
+ * @param {string} nonce - Random value unique to this request
+ * @param {string} body - The raw request body
+ * @returns {string} The canonical payload
+ */
+function buildCanonicalPayload(method, path, timestamp, nonce, body) {
+    return [method.toUpperCase(), path, timestamp, nonce, body].join("\n");
+}
+
+/**
+ * Compute the hex HMAC-SHA256 of a canonical payload
+ * @param {string} payload - The canonical payload
+ * @returns {string} The signature
+ */
+function sign(payload) {
+    return crypto.createHmac("sha256", SIGNATURE_SECRET).update(payload).digest("hex");
+}
+
+/**
+ * Forget nonces that are older than the clock window
+ * @param {number} now - Current time in milliseconds
+ * @returns {void}
+ */
+function pruneNonces(now) {
+    for (const [nonce, expiresAt] of seenNonces.entries()) {
+        if (expiresAt <= now) {
+            seenNonces.delete(nonce);
+        }
+    }
+}
+
+/**
+ * Check a request's signature headers
+ * @param {Object} req - The Express request
+ * @returns {string|null} The reason the signature is rejected, or null if it is valid
+ */
+function checkSignature(req) {
+    const signature = req.get("X-Signature");
+    const timestamp = req.get("X-Signature-Timestamp");
+    const nonce = req.get("X-Signature-Nonce");
+
+    if (!signature || !timestamp || !nonce) {
+        return "Missing signature headers";
+    }
+
+    const now = Date.now();
+    const age = Math.abs(now / 1000 - Number(timestamp));
+    if (!Number.isFinite(age) || age > SIGNATURE_MAX_AGE_SECONDS) {
+        return "Signature timestamp is outside the allowed window";
+    }
+
+    const payload = buildCanonicalPayload(req.method, req.path, timestamp, nonce, req.rawBody || "");
+    const expected = Buffer.from(sign(payload), "hex");
+    const received = Buffer.from(signature, "hex");
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        return "Signature does not match";
+    }
+
+    pruneNonces(now);
+    if (seenNonces.has(nonce)) {
+        return "Nonce has already been used";
+    }
+    // Remember the nonce for as long as its timestamp would be accepted
+    seenNonces.set(nonce, now + SIGNATURE_MAX_AGE_SECONDS * 2 * 1000);
+
+    return null;
+}
+
+/**
+ * Express middleware that verifies submission signatures according to SIGNATURE_MODE
+ * @param {Object} req - The Express request
+ * @param {Object} res - The Express response
+ * @param {Function} next - The next middleware
+ * @returns {void}
+ */
+function verifySignature(req, res, next) {
+    if (SIGNATURE_MODE === "off") {
+        return next();
+    }
+
+    const reason = checkSignature(req);
+    if (!reason) {
+        return next();
+    }
+
+    if (SIGNATURE_MODE === "log") {
+        console.warn(`⚠️ Signature check failed for ${req.method} ${req.path} (accepted, log-only mode): ${reason}`);
+        return next();
+    }
+
+    console.error(`❌ Signature check failed for ${req.method} ${req.path}: ${reason}`);
+    res.status(401).json({ error: "Invalid signature", reason });
+}
+
+/**
+ * Keep the raw request body so signatures can be checked against the exact bytes sent.
+ * Pass as the `verify` option of express.json().
+ * @param {Object} req - The Express request
+ * @param {Object} res - The Express response
+ * @param {Buffer} buf - The raw body
+ * @returns {void}
+ */
+function captureRawBody(req, res, buf) {
+    req.rawBody = buf.toString("utf8");
+}
+
+module.exports = {
+    verifySignature,
+    captureRawBody
+};
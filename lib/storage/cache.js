@@ -0,0 +1,187 @@
+// Read-through caches for sheet reads, invalidated by the server's own writes
+const config = require("../config");
+
+// Every cache created, by name, for the hit/miss report
+const caches = new Map();
+
+/**
+ * Create a read-through cache. Entries expire after READ_CACHE_TTL_SECONDS and are dropped as soon
+ * as the data they came from is written; concurrent misses for one key share a single load.
+ * @param {string} name - Name used in the hit/miss report
+ * @returns {{read: Function, readMany: Function, invalidate: Function}} The cache
+ */
+function createReadCache(name) {
+    const ttlMs = config.read_cache_ttl_seconds * 1000;
+    const entries = new Map();
+    const loading = new Map();
+    // Bumped on every invalidation, so a load that overlapped a write isn't cached
+    const generations = new Map();
+    const stats = { hits: 0, misses: 0 };
+
+    /**
+     * Start loading a value, caching it when it arrives unless its data was written in the meantime
+     * @param {string} key - The cache key
+     * @param {Function} load - Loads the value
+     * @returns {Promise<any>} The value
+     */
+    function startLoad(key, load) {
+        const generation = generations.get(key) || 0;
+        const pending = (async () => {
+            try {
+                const value = await load();
+                if (ttlMs > 0 && (generations.get(key) || 0) === generation) {
+                    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+                }
+                return value;
+            } finally {
+                if (loading.get(key) === pending) {
+                    loading.delete(key);
+                }
+            }
+        })();
+        loading.set(key, pending);
+        return pending;
+    }
+
+    /**
+     * Get a value, loading it on a miss
+     * @param {string} key - The cache key
+     * @param {Function} load - Loads the value when it isn't cached
+     * @returns {Promise<any>} The value
+     */
+    async function read(key, load) {
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt > Date.now()) {
+            stats.hits++;
+            return entry.value;
+        }
+
+        stats.misses++;
+        return loading.get(key) || startLoad(key, load);
+    }
+
+    /**
+     * Get several values, loading all the missing ones with a single call
+     * @param {string[]} keys - The cache keys
+     * @param {Function} loadMany - Loads the values of the keys it is given, in the same order
+     * @returns {Promise<any[]>} The values, in the order of keys
+     */
+    async function readMany(keys, loadMany) {
+        const cached = new Map();
+        const missing = [];
+        for (const key of new Set(keys)) {
+            const entry = entries.get(key);
+            if (entry && entry.expiresAt > Date.now()) {
+                stats.hits++;
+                cached.set(key, entry.value);
+                continue;
+            }
+            stats.misses++;
+            if (!loading.has(key)) {
+                missing.push(key);
+            }
+        }
+
+        if (missing.length > 0) {
+            const batch = loadMany(missing);
+            missing.forEach((key, i) => startLoad(key, async () => (await batch)[i]));
+        }
+        return Promise.all(keys.map(key => cached.has(key) ? cached.get(key) : loading.get(key)));
+    }
+
+    /**
+     * Drop a cached value because its data was written
+     * @param {string} key - The cache key
+     * @returns {void}
+     */
+    function invalidate(key) {
+        entries.delete(key);
+        // A load already under way may have read the data before the write
+        loading.delete(key);
+        generations.set(key, (generations.get(key) || 0) + 1);
+    }
+
+    caches.set(name, { stats, entries });
+    return { read, readMany, invalidate };
+}
+
+/**
+ * Wrap a storage driver with `getCachedRows` and `getCachedRowsBatch` methods for leaderboard reads.
+ * Every write drops the cached rows of the sheets it touched. `getRows` still reads the sheet, so
+ * writes never pick row numbers from cached rows.
+ * @param {Object} driver - The storage driver
+ * @returns {Object} A driver with the same methods, plus getCachedRows and getCachedRowsBatch
+ */
+function withReadCache(driver) {
+    const rowsCache = createReadCache("sheet_rows");
+
+    /**
+     * Copy sheet values so callers can't change the cached ones
+     * @param {any[][]} values - The sheet values
+     * @returns {any[][]} A copy
+     */
+    function copyRows(values) {
+        return values.map(row => [...row]);
+    }
+
+    return {
+        ...driver,
+        getCachedRows: async sheetName => copyRows(await rowsCache.read(sheetName, () => driver.getRows(sheetName))),
+        getCachedRowsBatch: async sheetNames =>
+            (await rowsCache.readMany(sheetNames, missing => driver.getRowsBatch(missing))).map(copyRows),
+        appendRows: async (sheetName, rows) => {
+            try {
+                return await driver.appendRows(sheetName, rows);
+            } finally {
+                rowsCache.invalidate(sheetName);
+            }
+        },
+        updateRows: async updates => {
+            try {
+                return await driver.updateRows(updates);
+            } finally {
+                for (const sheetName of new Set(updates.map(update => update.sheetName))) {
+                    rowsCache.invalidate(sheetName);
+                }
+            }
+        },
+        deleteRows: async (sheetName, rowIndexes, rowCount) => {
+            try {
+                return await driver.deleteRows(sheetName, rowIndexes, rowCount);
+            } finally {
+                rowsCache.invalidate(sheetName);
+            }
+        },
+        createSheet: async (sheetName, header) => {
+            try {
+                return await driver.createSheet(sheetName, header);
+            } finally {
+                rowsCache.invalidate(sheetName);
+            }
+        }
+    };
+}
+
+/**
+ * Report the hits and misses of every cache since the server started
+ * @returns {Object<string, {hits: number, misses: number, hit_rate: number, entries: number}>} Counts by cache name
+ */
+function getCacheStats() {
+    const report = {};
+    for (const [name, { stats, entries }] of caches) {
+        const total = stats.hits + stats.misses;
+        report[name] = {
+            hits: stats.hits,
+            misses: stats.misses,
+            hit_rate: total > 0 ? Math.round(stats.hits / total * 1000) / 1000 : 0,
+            entries: entries.size
+        };
+    }
+    return report;
+}
+
+module.exports = {
+    createReadCache,
+    withReadCache,
+    getCacheStats
+};
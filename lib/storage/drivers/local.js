@@ -0,0 +1,255 @@
+// File-backed storage driver for offline development and CI
+const fs = require("fs");
+const path = require("path");
+const {
+    GLOBAL_SCORES_SHEET,
+    PLAYERS_SHEET,
+    PLAYERS_HEADER,
+    GLOBAL_SCORES_HEADER,
+    LEVEL_HEADER,
+    getLevelSheetName
+} = require("../schema");
+const { getCatalog } = require("../../catalog");
+const config = require("../../config");
+
+const DATA_FILE = config.local_data_file;
+
+// Levels to create sheets for when the data file does not exist yet, e.g. "1,2,3"
+const SEED_LEVELS = config.local_seed_levels;
+
+let data = null;
+let loading = null;
+let saving = Promise.resolve();
+
+/**
+ * Build the initial contents of a new data file
+ * @returns {{title: string, sheets: Object<string, any[][]>}} Empty spreadsheet
+ */
+function createInitialData() {
+    const sheets = {
+        [PLAYERS_SHEET]: [PLAYERS_HEADER],
+        [GLOBAL_SCORES_SHEET]: [GLOBAL_SCORES_HEADER]
+    };
+
+    const { languages, difficulties } = getCatalog();
+    for (const level_id of SEED_LEVELS) {
+        for (const language of languages) {
+            for (const difficulty of difficulties) {
+                sheets[getLevelSheetName(level_id, language.code, difficulty.code)] = [LEVEL_HEADER];
+            }
+        }
+    }
+
+    return { title: "TypeFall Leaderboard (local)", sheets };
+}
+
+/**
+ * Load the data file into memory, creating it on first use
+ * @returns {Promise<{title: string, sheets: Object<string, any[][]>}>} The spreadsheet data
+ */
+async function load() {
+    if (data) {
+        return data;
+    }
+
+    // Concurrent first requests share a single read of the file
+    if (!loading) {
+        loading = (async () => {
+            try {
+                data = JSON.parse(await fs.promises.readFile(DATA_FILE, "utf8"));
+            } catch (error) {
+                if (error.code !== "ENOENT") {
+                    loading = null;
+                    throw new Error(`Failed to read local data file ${DATA_FILE}: ${error.message}`);
+                }
+
+                data = createInitialData();
+                await save();
+                console.log(`Created local data file ${DATA_FILE}`);
+            }
+            return data;
+        })();
+    }
+
+    return loading;
+}
+
+/**
+ * Write the in-memory data back to disk
+ * @returns {Promise<void>}
+ */
+async function save() {
+    // Saves for different sheets can overlap, so write the file one save at a time
+    const write = async () => {
+        // Write to a temporary file first so a crash never leaves half a file behind
+        const tempFile = `${DATA_FILE}.tmp`;
+        await fs.promises.mkdir(path.dirname(DATA_FILE), { recursive: true });
+        await fs.promises.writeFile(tempFile, JSON.stringify(data, null, 2));
+        await fs.promises.rename(tempFile, DATA_FILE);
+    };
+
+    saving = saving.catch(() => {}).then(write);
+    return saving;
+}
+
+/**
+ * Get the rows of a sheet, failing the same way the Sheets API does for unknown sheets
+ * @param {string} sheetName - The name of the sheet
+ * @returns {Promise<any[][]>} The live rows array
+ */
+async function getSheet(sheetName) {
+    const { sheets } = await load();
+    if (!sheets[sheetName]) {
+        throw new Error(`Unable to parse range: ${sheetName}`);
+    }
+    return sheets[sheetName];
+}
+
+/**
+ * Describe the data file for connection diagnostics
+ * @returns {Promise<{title: string, sheets: string[]}>} Title and sheet names
+ */
+async function describe() {
+    const { title, sheets } = await load();
+    return { title, sheets: Object.keys(sheets) };
+}
+
+/**
+ * Get all available sheets in the data file
+ * @returns {Promise<string[]>} Array of sheet names
+ */
+async function listSheets() {
+    const { sheets } = await load();
+    return Object.keys(sheets);
+}
+
+/**
+ * Convert a stored value to what the Sheets API returns for its cell
+ * @param {any} value - The stored value
+ * @returns {string} The value as a string, "" for empty cells
+ */
+function toCellString(value) {
+    return value === undefined || value === null ? "" : String(value);
+}
+
+/**
+ * Read every row of a sheet, including the header row
+ * @param {string} sheetName - The name of the sheet
+ * @returns {Promise<any[][]>} A copy of the sheet values
+ */
+async function getRows(sheetName) {
+    const rows = await getSheet(sheetName);
+    // Values come back as strings, like they do from the Sheets API; Array.from also fills gaps in sparse rows
+    return rows.map(row => Array.from(row, toCellString));
+}
+
+/**
+ * Read every row of several sheets
+ * @param {string[]} sheetNames - The names of the sheets
+ * @returns {Promise<any[][][]>} A copy of the values of each sheet, in the order of sheetNames
+ */
+async function getRowsBatch(sheetNames) {
+    return Promise.all(sheetNames.map(sheetName => getRows(sheetName)));
+}
+
+/**
+ * Read one column of a sheet, including the header row
+ * @param {string} sheetName - The name of the sheet
+ * @param {number} column - The 0-based column index
+ * @returns {Promise<string[]>} The value of the column in each row, "" for empty cells
+ */
+async function getColumn(sheetName, column) {
+    const rows = await getSheet(sheetName);
+    return rows.map(row => toCellString(row[column]));
+}
+
+/**
+ * Append rows to the end of a sheet
+ * @param {string} sheetName - The name of the sheet
+ * @param {any[][]} rows - The rows to append
+ * @returns {Promise<number>} The 1-based row number of the first appended row
+ */
+async function appendRows(sheetName, rows) {
+    const sheet = await getSheet(sheetName);
+    const firstRow = sheet.length + 1;
+    sheet.push(...rows.map(row => [...row]));
+    await save();
+    return firstRow;
+}
+
+/**
+ * Overwrite cell ranges in one batch
+ * @param {Array<{sheetName: string, row: number, column: number, values: any[]}>} updates -
+ *     Each update writes `values` into row `row` (1-based) starting at column `column` (0-based)
+ * @returns {Promise<void>}
+ */
+async function updateRows(updates) {
+    if (updates.length === 0) {
+        return;
+    }
+
+    for (const update of updates) {
+        const sheet = await getSheet(update.sheetName);
+        while (sheet.length < update.row) {
+            sheet.push([]);
+        }
+
+        const row = sheet[update.row - 1];
+        while (row.length < update.column) {
+            row.push("");
+        }
+        row.splice(update.column, update.values.length, ...update.values);
+    }
+
+    await save();
+}
+
+/**
+ * Delete rows from a sheet
+ * @param {string} sheetName - The name of the sheet
+ * @param {number[]} rowIndexes - 0-based indexes of the rows to delete
+ * @returns {Promise<void>}
+ */
+async function deleteRows(sheetName, rowIndexes) {
+    if (rowIndexes.length === 0) {
+        return;
+    }
+
+    const sheet = await getSheet(sheetName);
+
+    // Delete rows in reverse order to avoid index shifting issues
+    for (const rowIndex of [...rowIndexes].sort((a, b) => b - a)) {
+        sheet.splice(rowIndex, 1);
+    }
+
+    await save();
+}
+
+/**
+ * Create a new sheet with a header row
+ * @param {string} sheetName - The name of the sheet
+ * @param {string[]} header - The header row
+ * @returns {Promise<void>}
+ */
+async function createSheet(sheetName, header) {
+    const { sheets } = await load();
+    if (sheets[sheetName]) {
+        throw new Error(`A sheet with the name "${sheetName}" already exists`);
+    }
+
+    sheets[sheetName] = [[...header]];
+    await save();
+}
+
+module.exports = {
+    name: "local",
+    describe,
+    listSheets,
+    getRows,
+    getRowsBatch,
+    getColumn,
+    appendRows,
+    updateRows,
+    deleteRows,
+    createSheet
+};
@@ -0,0 +1,943 @@
+// Leaderboard storage: score, player and ranking operations on top of a pluggable driver
+const {
+    GLOBAL_SCORES_SHEET,
+    PLAYERS_SHEET,
+    FLAGGED_SCORES_SHEET,
+    MODERATION_LOG_SHEET,
+    MAX_LEADERBOARD_ENTRIES,
+    GLOBAL_SCORES_HEADER,
+    LEVEL_HEADER,
+    FLAGGED_SCORES_HEADER,
+    MODERATION_LOG_HEADER,
+    getLevelSheetName,
+    getArchiveSheetName,
+    getSeasonSheetName,
+    parseLevelSheetName,
+    isLevelSheet
+} = require("./schema");
+const { compareByScore } = require("../ranking");
+const config = require("../config");
+const { getCurrentSeasonId } = require("../seasons");
+const { createPlayerIndex } = require("./player-index");
+const { createPlayerBests } = require("./player-bests");
+const { withReadCache, getCacheStats } = require("./cache");
+const { runWithDeadline } = require("./retry");
+
+const DRIVERS = {
+    sheets: "./drivers/sheets",
+    local: "./drivers/local"
+};
+
+const uncachedDriver = require(DRIVERS[config.storage_driver]);
+console.log(`Using ${uncachedDriver.name} storage driver`);
+
+// Leaderboard reads can use driver.getCachedRows; writes drop the cached rows of the sheets they touch
+const driver = withReadCache(uncachedDriver);
+
+// Lookups of the players sheet go through this index; writes to it go through appendPlayerRows and updatePlayerRows.
+// The index has its own refresh interval, so it reads the sheet directly.
+const playerIndex = createPlayerIndex(uncachedDriver, PLAYERS_SHEET, config.player_index_refresh_seconds * 1000);
+
+// Each player's best run per level board, kept up to date by recalculateLevelPositions
+const playerBests = createPlayerBests(() => getLevelSheets(),
+    async sheetNames => (await driver.getRowsBatch(sheetNames)).map(parseLevelRows));
+
+/**
+ * Get the index of the first data row, skipping the header row if present
+ * @param {any[][]} values - The sheet values
+ * @param {string} headerName - The expected name of the first header column
+ * @returns {number} 1 if the sheet has a header row, 0 otherwise
+ */
+function getStartIndex(values, headerName) {
+    return values.length > 0 && values[0][0] === headerName ? 1 : 0;
+}
+
+/**
+ * Parse the rows of the global_scores sheet into entries
+ * @param {any[][]} values - The sheet values, including the header row
+ * @returns {Array<{position: number, player_id: string, player_name: string, score: number, levels_completed: number, timestamp: string, season: string, row_index: number}>}
+ */
+function parseGlobalRows(values) {
+    const startIndex = getStartIndex(values, "position_global");
+    const entries = [];
+
+    for (let i = startIndex; i < values.length; i++) {
+        const row = values[i];
+        if (row.length >= 4) { // Make sure we have enough columns
+            entries.push({
+                position: parseInt(row[0]) || 0,
+                player_id: row[1],
+                player_name: row[2],
+                score: parseInt(row[3]) || 0, // total_score at index 3
+                levels_completed: parseInt(row[4]) || 0, // levels_completed at index 4
+                timestamp: row.length > 5 ? row[5] : "", // timestamp at index 5
+                season: row[6] || "", // season at index 6, empty for scores from before seasons
+                row_index: i + 1 // +1 because sheets are 1-indexed
+            });
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Parse the rows of a level sheet into entries
+ * @param {any[][]} values - The sheet values, including the header row
+ * @returns {Array<{position: number, player_id: string, player_name: string, score: number, timestamp: string, time: number, season: string, row_index: number}>}
+ */
+function parseLevelRows(values) {
+    const startIndex = getStartIndex(values, "position_level");
+    const entries = [];
+
+    for (let i = startIndex; i < values.length; i++) {
+        const row = values[i];
+        if (row.length >= 4) {
+            entries.push({
+                position: parseInt(row[0]) || 0,
+                player_id: row[1],
+                player_name: row[2],
+                score: parseInt(row[3]) || 0,
+                timestamp: row.length > 4 ? row[4] : "",
+                time: parseFloat(row[5]) || 0, // completion time in seconds at index 5
+                season: row[6] || "", // season at index 6
+                row_index: i + 1 // +1 because sheets are 1-indexed
+            });
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Read all entries of the global_scores sheet, or of its standings for a past season
+ * @param {string} season - A past season ID (optional, the live board by default)
+ * @param {Object} options - Read options
+ * @param {boolean} options.cached - Whether cached rows will do; only for leaderboard reads, never before a write
+ * @returns {Promise<Array<Object>>} Parsed global entries
+ */
+async function readGlobalEntries(season = null, { cached = false } = {}) {
+    const sheetName = season ? getSeasonSheetName(GLOBAL_SCORES_SHEET, season) : GLOBAL_SCORES_SHEET;
+    return parseGlobalRows(await (cached ? driver.getCachedRows(sheetName) : driver.getRows(sheetName)));
+}
+
+/**
+ * Read all entries of a level sheet, or of its standings for a past season
+ * @param {string} sheetName - The name of the level sheet
+ * @param {string} season - A past season ID (optional, the live board by default)
+ * @param {Object} options - Read options
+ * @param {boolean} options.cached - Whether cached rows will do; only for leaderboard reads, never before a write
+ * @returns {Promise<Array<Object>>} Parsed level entries
+ */
+async function readLevelEntries(sheetName, season = null, { cached = false } = {}) {
+    const name = season ? getSeasonSheetName(sheetName, season) : sheetName;
+    return parseLevelRows(await (cached ? driver.getCachedRows(name) : driver.getRows(name)));
+}
+
+/**
+ * Read the current season's entries of level sheets submitted since a given time, in one batched read.
+ * Runs that have been trimmed to the archive are included, so short windows aren't limited to the all-time best.
+ * @param {string[]} levelSheets - The names of the level sheets
+ * @param {number} since - Start of the window in milliseconds
+ * @param {string[]} availableSheets - All sheet names
+ * @returns {Promise<Map<string, Array<Object>>>} Parsed level entries by level sheet, unranked
+ */
+async function readLevelBoardsSince(levelSheets, since, availableSheets) {
+    const season = getCurrentSeasonId();
+    const sources = levelSheets.flatMap(sheetName => [sheetName, getArchiveSheetName(sheetName)]
+        .filter(name => availableSheets.includes(name))
+        .map(name => ({ sheetName, name })));
+    const values = await driver.getCachedRowsBatch(sources.map(source => source.name));
+
+    const boards = new Map(levelSheets.map(sheetName => [sheetName, []]));
+    sources.forEach(({ sheetName }, i) => {
+        for (const entry of parseLevelRows(values[i])) {
+            if (Date.parse(entry.timestamp) >= since && (!season || !entry.season || entry.season === season)) {
+                boards.get(sheetName).push(entry);
+            }
+        }
+    });
+
+    return boards;
+}
+
+/**
+ * Read the current season's entries of a level sheet submitted since a given time. Runs that
+ * have been trimmed to the archive are included, so short windows aren't limited to the all-time best.
+ * @param {string} sheetName - The name of the level sheet
+ * @param {number} since - Start of the window in milliseconds
+ * @returns {Promise<Array<Object>>} Parsed level entries, unranked
+ */
+async function readLevelEntriesSince(sheetName, since) {
+    const boards = await readLevelBoardsSince([sheetName], since, await getAvailableSheets());
+    return boards.get(sheetName);
+}
+
+/**
+ * Total each player's best score per level over the runs submitted since a given time.
+ * Every level sheet and archive is read in one batched read, to stay within the Sheets read quota.
+ * @param {number} since - Start of the window in milliseconds
+ * @returns {Promise<Array<{player_id: string, player_name: string, score: number, levels_completed: number, timestamp: string}>>} One unranked entry per player
+ */
+async function readGlobalTotalsSince(since) {
+    const availableSheets = await getAvailableSheets();
+    const boards = await readLevelBoardsSince(availableSheets.filter(isLevelSheet), since, availableSheets);
+    const totals = new Map();
+
+    for (const boardEntries of boards.values()) {
+        const best = new Map();
+        for (const entry of boardEntries) {
+            if (!best.has(entry.player_id) || entry.score > best.get(entry.player_id).score) {
+                best.set(entry.player_id, entry);
+            }
+        }
+
+        for (const entry of best.values()) {
+            const total = totals.get(entry.player_id) ||
+                { player_id: entry.player_id, player_name: entry.player_name, score: 0, levels_completed: 0, timestamp: "" };
+            total.score += entry.score;
+            total.levels_completed++;
+            if (entry.timestamp > total.timestamp) {
+                total.timestamp = entry.timestamp;
+                total.player_name = entry.player_name;
+            }
+            totals.set(entry.player_id, total);
+        }
+    }
+
+    return [...totals.values()];
+}
+
+/**
+ * Describe the backing store for connection diagnostics
+ * @returns {Promise<{driver: string, title: string, sheets: string[]}>} Store description
+ */
+async function describe() {
+    const description = await driver.describe();
+    return { driver: driver.name, ...description };
+}
+
+/**
+ * Get all available sheets in the spreadsheet
+ * @returns {Promise<string[]>} Array of sheet names
+ */
+async function getAvailableSheets() {
+    return driver.listSheets();
+}
+
+/**
+ * Create a sheet with the given header row unless it already exists
+ * @param {string} sheetName - The name of the sheet
+ * @param {string[]} header - The header row
+ * @returns {Promise<boolean>} True if the sheet was created
+ */
+async function ensureSheet(sheetName, header) {
+    const availableSheets = await getAvailableSheets();
+    if (availableSheets.includes(sheetName)) {
+        return false;
+    }
+
+    await driver.createSheet(sheetName, header);
+    if (sheetName === PLAYERS_SHEET) {
+        playerIndex.invalidate();
+    }
+    console.log(`📄 Created sheet ${sheetName}`);
+    return true;
+}
+
+/**
+ * Create a level sheet with the level header row unless it already exists
+ * @param {string} sheetName - The level sheet name
+ * @returns {Promise<boolean>} True if the sheet was created
+ */
+async function ensureLevelSheet(sheetName) {
+    return ensureSheet(sheetName, LEVEL_HEADER);
+}
+
+/**
+ * Get the names of all level sheets
+ * @returns {Promise<string[]>} Array of level sheet names
+ */
+async function getLevelSheets() {
+    const availableSheets = await getAvailableSheets();
+    return availableSheets.filter(isLevelSheet);
+}
+
+/**
+ * Read the ID and name of every player in the players sheet
+ * @returns {Promise<Array<{player_id: string, player_name: string, row_index: number}>>} All players
+ */
+async function readPlayers() {
+    const values = await playerIndex.getRows();
+    const startIndex = getStartIndex(values, "player_id");
+    const players = [];
+
+    for (let i = startIndex; i < values.length; i++) {
+        if (values[i][0]) {
+            players.push({
+                player_id: values[i][0],
+                player_name: values[i][1] || "",
+                row_index: i + 1 // +1 because sheets are 1-indexed
+            });
+        }
+    }
+
+    return players;
+}
+
+/**
+ * Check if a player exists in the players sheet
+ * @param {string} player_id - The player ID to check
+ * @returns {Promise<{exists: boolean, index: number, data: any[]}>} Player data and row index
+ */
+async function checkPlayerExists(player_id) {
+    const player = await playerIndex.find(player_id);
+    if (player) {
+        return { exists: true, index: player.index, data: player.data };
+    }
+
+    return { exists: false, index: -1, data: null };
+}
+
+/**
+ * Append rows to the players sheet, keeping the player index in sync
+ * @param {any[][]} rows - The player rows
+ * @returns {Promise<void>}
+ */
+async function appendPlayerRows(rows) {
+    try {
+        playerIndex.recordAppend(await driver.appendRows(PLAYERS_SHEET, rows), rows);
+    } catch (error) {
+        // The write may or may not have landed, so the index is read from the sheet again
+        playerIndex.invalidate();
+        throw error;
+    }
+}
+
+/**
+ * Overwrite cells of players' rows, keeping the player index in sync. The rows come from the index,
+ * so column A of each is checked against the sheet first; if rows were deleted or sorted by hand
+ * since the index was loaded, it is reloaded before anything is written.
+ * @param {Array<{player_id: string, column: number, values: any[]}>} updates - The updates, by player
+ * @returns {Promise<string[]>} The IDs of players no longer in the sheet, whose updates were skipped
+ */
+async function updatePlayerRows(updates) {
+    if (updates.length === 0) {
+        return [];
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        const ids = await driver.getColumn(PLAYERS_SHEET, 0);
+        const rowUpdates = [];
+        const missing = [];
+        let moved = false;
+
+        for (const { player_id, column, values } of updates) {
+            const player = await playerIndex.find(player_id);
+            if (!player) {
+                missing.push(player_id);
+            } else if (ids[player.index - 1] !== player_id) {
+                moved = true;
+                break;
+            } else {
+                rowUpdates.push({ row: player.index, column, values });
+            }
+        }
+
+        if (moved) {
+            if (attempt > 0) {
+                throw new Error(`${PLAYERS_SHEET} sheet keeps changing, not updating it`);
+            }
+            console.warn(`⚠️ ${PLAYERS_SHEET} rows moved since the player index was loaded, reloading it`);
+            playerIndex.invalidate();
+            continue;
+        }
+
+        try {
+            await driver.updateRows(rowUpdates.map(update => ({ sheetName: PLAYERS_SHEET, ...update })));
+            playerIndex.recordUpdates(rowUpdates);
+        } catch (error) {
+            playerIndex.invalidate();
+            throw error;
+        }
+        if (missing.length > 0) {
+            console.warn(`⚠️ Players no longer in ${PLAYERS_SHEET} sheet, not updated: ${missing.join(", ")}`);
+        }
+        return missing;
+    }
+}
+
+/**
+ * Create or update a player in the players sheet
+ * @param {string} player_id - The player ID
+ * @param {string} player_name - The player name
+ * @param {number} total_score - The player's total score (optional)
+ * @param {number} global_position - The player's global position (optional)
+ * @param {number} levels_completed - Number of levels completed (optional)
+ * @returns {Promise<void>}
+ */
+async function createOrUpdatePlayer(player_id, player_name, total_score = 0, global_position = 0, levels_completed = 0) {
+    const timestamp = new Date().toISOString();
+
+    // Check if player exists
+    const playerCheck = await checkPlayerExists(player_id);
+
+    if (playerCheck.exists) {
+        // Get current values to only update what's provided
+        const currentLevelsCompleted = parseInt(playerCheck.data[3]) || 0;
+        const currentTotalScore = parseInt(playerCheck.data[4]) || 0;
+        const currentGlobalPosition = parseInt(playerCheck.data[5]) || 0;
+
+        // Update name, last_record, total_score, global_position and levels_completed
+        const missing = await updatePlayerRows([{
+            player_id,
+            column: 1, // B
+            values: [
+                player_name,
+                timestamp, // last_record
+                levels_completed > 0 ? levels_completed : currentLevelsCompleted,
+                total_score > 0 ? total_score : currentTotalScore,
+                global_position > 0 ? global_position : currentGlobalPosition
+            ]
+        }]);
+        if (missing.length === 0) {
+            return;
+        }
+    }
+
+    // Create new player, also when their row was deleted by hand since it was looked up
+    await appendPlayerRows([[
+        player_id,
+        player_name,
+        timestamp, // created
+        levels_completed || 0,
+        total_score || 0,
+        global_position || 0
+    ]]);
+}
+
+/**
+ * Append a score to the global_scores sheet
+ * @param {{player_id: string, player_name: string, total_score: number, levels_completed: number, timestamp: string}} entry - The score entry
+ * @returns {Promise<void>}
+ */
+async function appendGlobalScore({ player_id, player_name, total_score, levels_completed, timestamp }) {
+    await driver.appendRows(GLOBAL_SCORES_SHEET, [
+        [0, player_id, player_name, total_score, levels_completed, timestamp, getCurrentSeasonId()]
+    ]);
+}
+
+/**
+ * Append a score to a level sheet
+ * @param {string} sheetName - The name of the level sheet
+ * @param {{player_id: string, player_name: string, score: number, timestamp: string, time: number}} entry - The score entry
+ * @returns {Promise<void>}
+ */
+async function appendLevelScore(sheetName, entry) {
+    await appendLevelScores(sheetName, [entry]);
+}
+
+/**
+ * Append several scores to a level sheet in one write
+ * @param {string} sheetName - The name of the level sheet
+ * @param {Array<{player_id: string, player_name: string, score: number, timestamp: string, time: number}>} entries - The score entries
+ * @returns {Promise<void>}
+ */
+async function appendLevelScores(sheetName, entries) {
+    const season = getCurrentSeasonId();
+    await driver.appendRows(sheetName, entries.map(({ player_id, player_name, score, timestamp, time }) =>
+        [0, player_id, player_name, score, timestamp, time, season]));
+}
+
+/**
+ * Record a submission that broke the score rules
+ * @param {{board: string, player_id: string, player_name: string, score: number, time: number, action: string, reason: string}} flag - The flagged submission
+ * @returns {Promise<void>}
+ */
+async function recordFlaggedScore({ board, player_id, player_name, score, time, action, reason }) {
+    await ensureSheet(FLAGGED_SCORES_SHEET, FLAGGED_SCORES_HEADER);
+    await driver.appendRows(FLAGGED_SCORES_SHEET, [
+        [new Date().toISOString(), board, player_id || "", player_name, score, time || 0, action, reason]
+    ]);
+}
+
+/**
+ * Record a nickname caught by the blocked-word filter
+ * @param {{route: string, player_id: string, nickname: string, language: string, matched: string, action: string, replacement: string}} event - The moderation event
+ * @returns {Promise<void>}
+ */
+async function recordModerationEvent({ route, player_id, nickname, language, matched, action, replacement }) {
+    await ensureSheet(MODERATION_LOG_SHEET, MODERATION_LOG_HEADER);
+    await driver.appendRows(MODERATION_LOG_SHEET, [
+        [new Date().toISOString(), route, player_id || "", nickname, language, matched, action, replacement || ""]
+    ]);
+}
+
+/**
+ * Maintain only the best MAX_LEADERBOARD_ENTRIES entries in a sheet, ranked the same way
+ * as position recalculation. Evicted rows are moved to the sheet's archive.
+ * @param {string} sheetName - The name of the sheet to trim
+ * @returns {Promise<void>}
+ */
+async function trimSheetToMaxEntries(sheetName) {
+    // Get all entries from the sheet
+    const values = await driver.getRows(sheetName);
+    const isGlobal = sheetName === GLOBAL_SCORES_SHEET;
+    const entries = isGlobal ? parseGlobalRows(values) : parseLevelRows(values);
+
+    if (entries.length <= MAX_LEADERBOARD_ENTRIES) {
+        return;
+    }
+
+    const evicted = entries.sort(compareByScore).slice(MAX_LEADERBOARD_ENTRIES);
+    const archiveSheet = await moveRowsToArchive(sheetName, values, evicted);
+
+    console.log(`Trimmed sheet ${sheetName} to ${MAX_LEADERBOARD_ENTRIES} entries, archived ${evicted.length} to ${archiveSheet}`);
+}
+
+/**
+ * Keep only each player's best run on a level sheet, ranked the same way as position
+ * recalculation. Their other runs are moved to the sheet's archive.
+ * @param {string} sheetName - The name of the level sheet
+ * @returns {Promise<number>} The number of runs moved
+ */
+async function keepPersonalBests(sheetName) {
+    const values = await driver.getRows(sheetName);
+    const seen = new Set();
+    const superseded = [];
+
+    for (const entry of parseLevelRows(values).sort(compareByScore)) {
+        if (seen.has(entry.player_id)) {
+            superseded.push(entry);
+        } else {
+            seen.add(entry.player_id);
+        }
+    }
+
+    if (superseded.length > 0) {
+        const archiveSheet = await moveRowsToArchive(sheetName, values, superseded);
+        console.log(`Archived ${superseded.length} superseded runs from ${sheetName} to ${archiveSheet}`);
+    }
+
+    return superseded.length;
+}
+
+/**
+ * Move rows of a leaderboard sheet to its archive sheet, stamped with the time they were archived
+ * @param {string} sheetName - The name of the leaderboard sheet
+ * @param {any[][]} values - The sheet values, as read before any change
+ * @param {Array<{row_index: number}>} entries - The entries to move
+ * @returns {Promise<string>} The archive sheet name
+ */
+async function moveRowsToArchive(sheetName, values, entries) {
+    // Archive before deleting so a failed delete can only ever duplicate a row, never lose it.
+    // Sheets created before a column was added keep their shorter header row, so use the longer one.
+    const defaultHeader = sheetName === GLOBAL_SCORES_SHEET ? GLOBAL_SCORES_HEADER : LEVEL_HEADER;
+    const header = getStartIndex(values, defaultHeader[0]) === 1 && values[0].length > defaultHeader.length
+        ? values[0]
+        : defaultHeader;
+    const archivedAt = new Date().toISOString();
+    const archiveRows = entries.map(entry => {
+        const row = [...values[entry.row_index - 1]];
+        while (row.length < header.length) {
+            row.push("");
+        }
+        return [...row.slice(0, header.length), archivedAt];
+    });
+
+    const archiveSheet = getArchiveSheetName(sheetName);
+    await ensureSheet(archiveSheet, [...header, "archived_at"]);
+    await driver.appendRows(archiveSheet, archiveRows);
+
+    await driver.deleteRows(sheetName, entries.map(entry => entry.row_index - 1), values.length);
+
+    return archiveSheet;
+}
+
+/**
+ * Write the positions of entries sorted best first, only to rows whose stored position changed
+ * @param {string} sheetName - The name of the sheet
+ * @param {Array<{position: number, row_index: number}>} sortedEntries - The entries, best first; their positions are updated in place
+ * @returns {Promise<number>} How many rows were written
+ */
+async function writeChangedPositions(sheetName, sortedEntries) {
+    const updates = [];
+    for (let i = 0; i < sortedEntries.length; i++) {
+        const position = i + 1;
+        if (sortedEntries[i].position !== position) {
+            sortedEntries[i].position = position;
+            updates.push({
+                sheetName: sheetName,
+                row: sortedEntries[i].row_index,
+                column: 0, // A
+                values: [position]
+            });
+        }
+    }
+
+    // Execute all position updates in a single batch
+    await driver.updateRows(updates);
+    return updates.length;
+}
+
+/**
+ * Recalculate global positions for all players
+ * @returns {Promise<Array<Object>>} The global entries with their new positions, best first
+ */
+async function recalculateGlobalPositions() {
+    // Format all score entries (not just highest per player)
+    const allEntries = (await readGlobalEntries()).sort(compareByScore);
+    const changed = await writeChangedPositions(GLOBAL_SCORES_SHEET, allEntries);
+
+    console.log(`Recalculated global positions for ${allEntries.length} entries, ${changed} changed`);
+
+    // Now update player positions in the players sheet based on their best entry
+    await updatePlayerPositionsInPlayersSheet(allEntries);
+
+    return allEntries;
+}
+
+/**
+ * Update player positions in the players sheet based on their best entry
+ * @param {Array} sortedEntries - Array of entries sorted by position
+ * @returns {Promise<void>}
+ */
+async function updatePlayerPositionsInPlayersSheet(sortedEntries) {
+    const playerBestPositions = new Map();
+
+    // Find the best position for each player
+    for (const entry of sortedEntries) {
+        if (!playerBestPositions.has(entry.player_id) ||
+            entry.position < playerBestPositions.get(entry.player_id)) {
+            playerBestPositions.set(entry.player_id, entry.position);
+        }
+    }
+
+    // Only write positions that changed
+    const values = await playerIndex.getRows();
+    const updates = [];
+    const seen = new Set();
+    for (let i = getStartIndex(values, "player_id"); i < values.length; i++) {
+        const player_id = values[i][0];
+        const position = playerBestPositions.get(player_id);
+        // A player with more than one row is updated through their first, like every lookup
+        if (seen.has(player_id)) {
+            continue;
+        }
+        seen.add(player_id);
+        if (position !== undefined && (parseInt(values[i][5]) || 0) !== position) {
+            updates.push({
+                player_id,
+                column: 5, // F: position_global
+                values: [position]
+            });
+        }
+    }
+
+    await updatePlayerRows(updates);
+
+    console.log(`Updated global positions for ${updates.length} of ${playerBestPositions.size} players in players sheet`);
+}
+
+/**
+ * Recalculate level positions
+ * @param {string} sheetName - The name of the level sheet
+ * @returns {Promise<Array<Object>>} The level entries with their new positions, best first
+ */
+async function recalculateLevelPositions(sheetName) {
+    const allEntries = (await readLevelEntries(sheetName)).sort(compareByScore);
+    const changed = await writeChangedPositions(sheetName, allEntries);
+    playerBests.replaceBoard(sheetName, allEntries);
+
+    console.log(`Recalculated positions for ${allEntries.length} entries in ${sheetName}, ${changed} changed`);
+
+    return allEntries;
+}
+
+/**
+ * Find a player's best score and position on every level sheet
+ * @param {string} player_id - The player ID
+ * @returns {Promise<Object<string, {level_id: string, language: string, difficulty: string, score: number, position: number}>>} Best scores keyed by sheet name
+ */
+async function getPlayerLevelScores(player_id) {
+    const levelScores = {};
+
+    for (const [sheetName, { score, position }] of Object.entries(await playerBests.getPlayer(player_id))) {
+        // Parse the sheet name to get level, language, and difficulty
+        const { level_id, language, difficulty } = parseLevelSheetName(sheetName);
+
+        levelScores[sheetName] = {
+            level_id,
+            language,
+            difficulty,
+            score,
+            position
+        };
+    }
+
+    return levelScores;
+}
+
+/**
+ * Rebuild every player's best scores from the level sheets, e.g. after the sheets were edited by hand
+ * @returns {Promise<{players: number, boards: number}>} How many players and level sheets were read
+ */
+async function rebuildPlayerBests() {
+    return playerBests.rebuild();
+}
+
+/**
+ * Update a player's total score based on their best scores across all levels
+ * @param {string} player_id - The player ID
+ * @param {string} player_name - The player name
+ * @returns {Promise<number>} The player's new total score
+ */
+async function updatePlayerTotalScore(player_id, player_name) {
+    try {
+        // Get the player's best score for each level
+        const levelScores = await getPlayerLevelScores(player_id);
+        let totalScore = 0;
+        let completedLevels = 0;
+
+        for (const levelScore of Object.values(levelScores)) {
+            totalScore += levelScore.score;
+            completedLevels++;
+        }
+
+        // Update the player's total score in the players sheet
+        await createOrUpdatePlayer(player_id, player_name, totalScore, 0, completedLevels);
+
+        // Find the player's latest entry in global_scores
+        let existingEntry = null;
+        for (const entry of await readGlobalEntries()) {
+            if (entry.player_id === player_id) {
+                existingEntry = entry;
+            }
+        }
+
+        const timestamp = new Date().toISOString();
+
+        console.log(`🔍 Global score update for ${player_name}:`);
+        console.log(`  Total score: ${totalScore}`);
+        console.log(`  Levels completed: ${completedLevels}`);
+        console.log(`  Existing entry found: ${existingEntry ? 'Yes' : 'No'}`);
+
+        if (existingEntry) {
+            console.log(`  Existing entry details:`);
+            console.log(`    Row index: ${existingEntry.row_index}`);
+            console.log(`    Current score: ${existingEntry.score}`);
+            console.log(`    Current levels completed: ${existingEntry.levels_completed}`);
+
+            // Update existing entry
+            await driver.updateRows([{
+                sheetName: GLOBAL_SCORES_SHEET,
+                row: existingEntry.row_index,
+                column: 3, // D
+                values: [totalScore, completedLevels, timestamp]
+            }]);
+
+            console.log(`✅ Updated existing global score entry for ${player_name}: ${totalScore}`);
+        } else {
+            // Create new entry if none exists
+            await appendGlobalScore({
+                player_id,
+                player_name,
+                total_score: totalScore,
+                levels_completed: completedLevels,
+                timestamp
+            });
+
+            console.log(`✅ Created new global score entry for ${player_name}: ${totalScore}`);
+        }
+
+        // Recalculate global positions
+        await recalculateGlobalPositions();
+
+        return totalScore;
+    } catch (error) {
+        console.error("Error updating player total score:", error);
+        throw error;
+    }
+}
+
+/**
+ * Group the entries of a live leaderboard that belong to a season that has ended by that season.
+ * Scores from before seasons were introduced are filed under the previous season, or kept
+ * as part of the current one when it is the first season.
+ * @param {Array<Object>} entries - Parsed global or level entries
+ * @param {string} currentSeason - The season now running
+ * @param {string} previousSeason - The season before it, "" for the first season
+ * @returns {Map<string, Array<Object>>} Entries by ended season
+ */
+function groupEndedSeasons(entries, currentSeason, previousSeason) {
+    const bySeason = new Map();
+    for (const entry of entries) {
+        const season = entry.season || previousSeason || currentSeason;
+        if (season === currentSeason) {
+            continue;
+        }
+        if (!bySeason.has(season)) {
+            bySeason.set(season, []);
+        }
+        bySeason.get(season).push(entry);
+    }
+    return bySeason;
+}
+
+/**
+ * Find the live leaderboards that still hold scores from an earlier season, in one batched read.
+ * Needs no locks: scores submitted meanwhile belong to the current season.
+ * @param {string} currentSeason - The season now running
+ * @param {string} previousSeason - The season before it, "" for the first season
+ * @returns {Promise<string[]>} The names of the sheets to roll over
+ */
+async function findSeasonRolloverSheets(currentSeason, previousSeason) {
+    const sheetNames = [GLOBAL_SCORES_SHEET, ...await getLevelSheets()];
+    const values = await driver.getRowsBatch(sheetNames);
+
+    return sheetNames.filter((sheetName, i) => {
+        const entries = sheetName === GLOBAL_SCORES_SHEET ? parseGlobalRows(values[i]) : parseLevelRows(values[i]);
+        return groupEndedSeasons(entries, currentSeason, previousSeason).size > 0;
+    });
+}
+
+/**
+ * Move every score from an earlier season out of the given live leaderboards into per-season sheets,
+ * keeping its final position, then reset the players' totals for the new season.
+ * The caller holds the locks of these sheets and of global_scores.
+ * @param {string} currentSeason - The season now running
+ * @param {string} previousSeason - The season before it, "" for the first season
+ * @param {string[]} sheetNames - The sheets to roll over, from findSeasonRolloverSheets
+ * @returns {Promise<number>} The number of scores moved
+ */
+async function rolloverSeason(currentSeason, previousSeason, sheetNames) {
+    const sheetValues = await driver.getRowsBatch(sheetNames);
+    let moved = 0;
+
+    for (const [i, sheetName] of sheetNames.entries()) {
+        const isGlobal = sheetName === GLOBAL_SCORES_SHEET;
+        const header = isGlobal ? GLOBAL_SCORES_HEADER : LEVEL_HEADER;
+        const values = sheetValues[i];
+        const entries = isGlobal ? parseGlobalRows(values) : parseLevelRows(values);
+
+        // Group the scores of ended seasons by the season they belong to
+        const bySeason = groupEndedSeasons(entries, currentSeason, previousSeason);
+
+        if (bySeason.size === 0) {
+            continue;
+        }
+
+        // Copy before deleting so a failed delete can only ever duplicate a row, never lose it
+        for (const [season, seasonEntries] of bySeason.entries()) {
+            const rows = seasonEntries.map(entry => {
+                const row = [...values[entry.row_index - 1]];
+                while (row.length < header.length) {
+                    row.push("");
+                }
+                row[header.length - 1] = season;
+                return row.slice(0, header.length);
+            });
+
+            const seasonSheet = getSeasonSheetName(sheetName, season);
+            await ensureSheet(seasonSheet, header);
+            await driver.appendRows(seasonSheet, rows);
+        }
+
+        const stale = [...bySeason.values()].flat();
+        await driver.deleteRows(sheetName, stale.map(entry => entry.row_index - 1), values.length);
+        moved += stale.length;
+
+        if (!isGlobal) {
+            await recalculateLevelPositions(sheetName);
+        }
+        console.log(`📦 Moved ${stale.length} scores from ${sheetName} to season sheets (${[...bySeason.keys()].join(", ")})`);
+    }
+
+    if (moved === 0) {
+        return 0;
+    }
+
+    // Totals and positions start over with the new season
+    const players = await readPlayers();
+    await updatePlayerRows([...new Set(players.map(player => player.player_id))].map(player_id => ({
+        player_id,
+        column: 3, // D: levels_completed, total_score, position_global
+        values: [0, 0, 0]
+    })));
+    await recalculateGlobalPositions();
+
+    return moved;
+}
+
+/**
+ * Find a player's final standing in each past season
+ * @param {string} player_id - The player ID
+ * @param {string[]} seasons - The past season IDs to look in
+ * @returns {Promise<Array<{season: string, position: number, score: number, levels_completed: number}>>} One entry per season the player took part in
+ */
+async function getPlayerSeasonPlacements(player_id, seasons) {
+    const availableSheets = await getAvailableSheets();
+    const placements = [];
+
+    for (const season of seasons) {
+        if (!availableSheets.includes(getSeasonSheetName(GLOBAL_SCORES_SHEET, season))) {
+            continue;
+        }
+
+        let best = null;
+        for (const entry of await readGlobalEntries(season, { cached: true })) {
+            if (entry.player_id === player_id && (!best || entry.score > best.score)) {
+                best = entry;
+            }
+        }
+
+        if (best) {
+            placements.push({
+                season,
+                position: best.position,
+                score: best.score,
+                levels_completed: best.levels_completed
+            });
+        }
+    }
+
+    return placements;
+}
+
+module.exports = {
+    GLOBAL_SCORES_SHEET,
+    PLAYERS_SHEET,
+    FLAGGED_SCORES_SHEET,
+    MODERATION_LOG_SHEET,
+    MAX_LEADERBOARD_ENTRIES,
+    getLevelSheetName,
+    getSeasonSheetName,
+    describe,
+    getAvailableSheets,
+    ensureSheet,
+    ensureLevelSheet,
+    getLevelSheets,
+    readPlayers,
+    checkPlayerExists,
+    createOrUpdatePlayer,
+    appendGlobalScore,
+    appendLevelScore,
+    appendLevelScores,
+    recordFlaggedScore,
+    recordModerationEvent,
+    readGlobalEntries,
+    readLevelEntries,
+    readLevelEntriesSince,
+    readGlobalTotalsSince,
+    trimSheetToMaxEntries,
+    keepPersonalBests,
+    recalculateGlobalPositions,
+    recalculateLevelPositions,
+    getPlayerLevelScores,
+    rebuildPlayerBests,
+    getCacheStats,
+    runWithDeadline,
+    updatePlayerTotalScore,
+    findSeasonRolloverSheets,
+    rolloverSeason,
+    getPlayerSeasonPlacements
+};
@@ -0,0 +1,116 @@
+// Each player's best score and position on every level board, kept in memory so totals don't need every level sheet
+
+/**
+ * Create the best-per-level aggregate. It is built from the level sheets when the server starts (or on
+ * first use, if that build failed) and then updated with each board's entries whenever the server
+ * recalculates that board's positions.
+ * @param {Function} listBoards - Returns the names of the level sheets to build from
+ * @param {Function} readBoards - Returns the entries of each of the given level sheets, in one batched read
+ * @returns {{getPlayer: Function, replaceBoard: Function, rebuild: Function}} The aggregate
+ */
+function createPlayerBests(listBoards, readBoards) {
+    // player_id -> sheet name -> { score, position }
+    let bestsByPlayer = null;
+    let building = null;
+    // Boards recalculated while a rebuild was reading the sheets, applied over what it read
+    let changedDuringBuild = null;
+
+    /**
+     * Replace one board's part of an aggregate with the best entry of each player on it
+     * @param {Map} target - The aggregate to change
+     * @param {string} sheetName - The name of the level sheet
+     * @param {Array<{player_id: string, score: number, position: number}>} entries - All entries of the board
+     * @returns {void}
+     */
+    function applyBoard(target, sheetName, entries) {
+        for (const bests of target.values()) {
+            bests.delete(sheetName);
+        }
+
+        for (const entry of entries) {
+            if (!entry.player_id || entry.score <= 0) {
+                continue;
+            }
+            if (!target.has(entry.player_id)) {
+                target.set(entry.player_id, new Map());
+            }
+            const bests = target.get(entry.player_id);
+            const current = bests.get(sheetName);
+            if (!current || entry.score > current.score) {
+                bests.set(sheetName, { score: entry.score, position: entry.position });
+            }
+        }
+    }
+
+    /**
+     * Rebuild the aggregate from the level sheets, sharing one rebuild between concurrent callers
+     * @returns {Promise<{players: number, boards: number}>} How many players and boards it holds
+     */
+    async function rebuild() {
+        if (!building) {
+            building = (async () => {
+                changedDuringBuild = new Map();
+                try {
+                    const next = new Map();
+                    const boards = await listBoards();
+                    const entries = await readBoards(boards);
+                    boards.forEach((sheetName, i) => applyBoard(next, sheetName, entries[i]));
+                    for (const [sheetName, entries] of changedDuringBuild) {
+                        applyBoard(next, sheetName, entries);
+                    }
+
+                    bestsByPlayer = next;
+                    console.log(`Built best scores for ${next.size} players from ${boards.length} level sheets`);
+                    return { players: next.size, boards: boards.length };
+                } finally {
+                    changedDuringBuild = null;
+                    building = null;
+                }
+            })();
+        }
+        return building;
+    }
+
+    /**
+     * Get a player's best score and position on each level board they have played
+     * @param {string} player_id - The player ID
+     * @returns {Promise<Object<string, {score: number, position: number}>>} Bests keyed by sheet name
+     */
+    async function getPlayer(player_id) {
+        // Waits for the build started at startup rather than starting another one
+        if (!bestsByPlayer) {
+            await rebuild();
+        }
+
+        const bests = {};
+        for (const [sheetName, best] of bestsByPlayer.get(player_id) || []) {
+            bests[sheetName] = { ...best };
+        }
+        return bests;
+    }
+
+    /**
+     * Record the entries of a board after its positions were recalculated
+     * @param {string} sheetName - The name of the level sheet
+     * @param {Array<{player_id: string, score: number, position: number}>} entries - All entries of the board
+     * @returns {void}
+     */
+    function replaceBoard(sheetName, entries) {
+        if (changedDuringBuild) {
+            changedDuringBuild.set(sheetName, entries);
+        }
+        if (bestsByPlayer) {
+            applyBoard(bestsByPlayer, sheetName, entries);
+        }
+    }
+
+    return {
+        getPlayer,
+        replaceBoard,
+        rebuild
+    };
+}
+
+module.exports = {
+    createPlayerBests
+};
@@ -0,0 +1,170 @@
+// In-process index of the players sheet by player_id, so player lookups don't download the sheet every time
+
+/**
+ * Create an index of the players sheet. The index is loaded on first use, kept in sync with the
+ * server's own writes and reloaded from the sheet once it is older than `refreshMs`, so edits
+ * made by hand in the spreadsheet are picked up.
+ * @param {Object} driver - The storage driver
+ * @param {string} sheetName - The name of the players sheet
+ * @param {number} refreshMs - How long the index is trusted before it is checked against the sheet; 0 reads the sheet every time
+ * @returns {{getRows: Function, find: Function, recordAppend: Function, recordUpdates: Function, invalidate: Function}} The index
+ */
+function createPlayerIndex(driver, sheetName, refreshMs) {
+    let rows = null;
+    let rowsById = new Map();
+    let loadedAt = 0;
+    let loading = null;
+    // Counts the server's own writes, to tell whether one happened while the sheet was being read
+    let writes = 0;
+
+    /**
+     * Rebuild the player_id lookup from the cached rows. The first row of a player wins,
+     * and rows without a player_id (blank rows, the header) are skipped.
+     * @param {boolean} reportDuplicates - Whether to log players with more than one row, done once per sheet read
+     * @returns {void}
+     */
+    function rebuild(reportDuplicates = false) {
+        rowsById = new Map();
+        for (let i = 0; i < rows.length; i++) {
+            const player_id = rows[i][0];
+            if (!player_id || (i === 0 && player_id === "player_id")) {
+                continue;
+            }
+            if (rowsById.has(player_id)) {
+                if (reportDuplicates) {
+                    console.warn(`⚠️ Player ${player_id} appears more than once in ${sheetName} (rows ${rowsById.get(player_id) + 1} and ${i + 1}), using the first`);
+                }
+                continue;
+            }
+            rowsById.set(player_id, i);
+        }
+    }
+
+    /**
+     * Read the sheet and replace the index, reporting when it no longer matches what the server wrote
+     * @returns {Promise<void>}
+     */
+    async function load() {
+        const writesBefore = writes;
+        const values = (await driver.getRows(sheetName)).map(row => row.map(value => String(value)));
+
+        if (writes !== writesBefore) {
+            // The read may have missed that write, so use it once and read again next time
+            rows = values;
+            loadedAt = 0;
+            rebuild();
+            return;
+        }
+
+        if (rows && JSON.stringify(values) !== JSON.stringify(rows)) {
+            console.warn(`⚠️ ${sheetName} sheet was changed outside the server, player index rebuilt`);
+        }
+
+        rows = values;
+        loadedAt = Date.now();
+        rebuild(true);
+    }
+
+    /**
+     * Make sure the index is loaded and fresh, sharing one sheet read between concurrent callers
+     * @returns {Promise<void>}
+     */
+    async function ensureFresh() {
+        if (rows && Date.now() - loadedAt < refreshMs) {
+            return;
+        }
+        if (!loading) {
+            loading = load().finally(() => {
+                loading = null;
+            });
+        }
+        await loading;
+    }
+
+    /**
+     * Get the rows of the players sheet, including the header row
+     * @returns {Promise<string[][]>} A copy of the rows
+     */
+    async function getRows() {
+        await ensureFresh();
+        return rows.map(row => [...row]);
+    }
+
+    /**
+     * Look up a player
+     * @param {string} player_id - The player ID
+     * @returns {Promise<{index: number, data: string[]}|null>} The 1-based row number and a copy of the row, or null
+     */
+    async function find(player_id) {
+        await ensureFresh();
+        const i = rowsById.get(player_id);
+        return i === undefined ? null : { index: i + 1, data: [...rows[i]] };
+    }
+
+    /**
+     * Add rows the server appended to the sheet
+     * @param {number} firstRow - The 1-based row number the driver wrote the first row to
+     * @param {any[][]} appended - The appended rows
+     * @returns {void}
+     */
+    function recordAppend(firstRow, appended) {
+        writes++;
+        if (!rows) {
+            return;
+        }
+        // Rows landing somewhere else means the sheet grew or shrank outside the server
+        if (firstRow !== rows.length + 1) {
+            invalidate();
+            return;
+        }
+        for (const row of appended) {
+            rows.push(row.map(value => String(value)));
+        }
+        rebuild();
+    }
+
+    /**
+     * Apply cell updates the server wrote to the sheet
+     * @param {Array<{row: number, column: number, values: any[]}>} updates - The updates, as passed to the driver
+     * @returns {void}
+     */
+    function recordUpdates(updates) {
+        writes++;
+        if (!rows) {
+            return;
+        }
+        for (const update of updates) {
+            while (rows.length < update.row) {
+                rows.push([]);
+            }
+            const row = rows[update.row - 1];
+            while (row.length < update.column) {
+                row.push("");
+            }
+            row.splice(update.column, update.values.length, ...update.values.map(value => String(value)));
+        }
+        rebuild();
+    }
+
+    /**
+     * Forget the index so the next lookup reads the sheet
+     * @returns {void}
+     */
+    function invalidate() {
+        writes++;
+        rows = null;
+        rowsById = new Map();
+    }
+
+    return {
+        getRows,
+        find,
+        recordAppend,
+        recordUpdates,
+        invalidate
+    };
+}
+
+module.exports = {
+    createPlayerIndex
+};
@@ -0,0 +1,147 @@
+// Retries for Google Sheets calls: jittered exponential backoff, rate-limit pauses and a deadline per request
+const { AsyncLocalStorage } = require("async_hooks");
+const config = require("../config");
+
+// First retry waits up to this long; each retry doubles it, up to MAX_DELAY_MS
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 16 * 1000;
+
+// Network errors where the request never reached Google, so it can't have been applied
+const UNSENT_ERROR_CODES = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"];
+
+// Network errors where the request may or may not have been applied
+const AMBIGUOUS_ERROR_CODES = ["ECONNRESET", "ETIMEDOUT", "ESOCKETTIMEDOUT", "EPIPE", "ECONNABORTED"];
+
+// While the API is rate limiting us, every call waits until this time instead of adding to the load
+let pausedUntil = 0;
+
+// The deadline shared by every Sheets call made while handling one HTTP request
+const requestDeadline = new AsyncLocalStorage();
+
+/**
+ * Decide whether a failed call can be retried
+ * @param {Error} error - The error from the Sheets client
+ * @returns {{retry: boolean, ambiguous: boolean, rateLimited: boolean, retryAfterMs: number|null}}
+ *     Whether to retry, whether the call may have been applied anyway, and how long the API asked us to wait
+ */
+function classifyError(error) {
+    const status = error.response ? error.response.status : (typeof error.code === "number" ? error.code : null);
+    const headers = (error.response && error.response.headers) || {};
+    const retryAfter = parseInt(headers["retry-after"]);
+    const retryAfterMs = Number.isFinite(retryAfter) ? retryAfter * 1000 : null;
+    const reasons = (((error.response && error.response.data) || {}).error || {}).errors || [];
+
+    if (status === 429 || (status === 403 && reasons.some(reason => /rateLimitExceeded/i.test(reason.reason)))) {
+        return { retry: true, ambiguous: false, rateLimited: true, retryAfterMs };
+    }
+    if ([500, 502, 503, 504].includes(status)) {
+        return { retry: true, ambiguous: true, rateLimited: false, retryAfterMs };
+    }
+    if (status === null && UNSENT_ERROR_CODES.includes(error.code)) {
+        return { retry: true, ambiguous: false, rateLimited: false, retryAfterMs: null };
+    }
+    if (status === null && (AMBIGUOUS_ERROR_CODES.includes(error.code) || error.name === "AbortError" || /timeout|socket hang up/i.test(error.message))) {
+        return { retry: true, ambiguous: true, rateLimited: false, retryAfterMs: null };
+    }
+    return { retry: false, ambiguous: false, rateLimited: false, retryAfterMs: null };
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - How long to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run a task with one deadline for all the Sheets calls it makes, e.g. while handling an HTTP request
+ * @param {number} deadline - When the calls must be done, in milliseconds since the epoch
+ * @param {Function} task - The task
+ * @returns {any} The task's result
+ */
+function runWithDeadline(deadline, task) {
+    return requestDeadline.run({ deadline }, task);
+}
+
+/**
+ * Run a task with the caller's shared deadline started over from now, e.g. once a sheet's write queue
+ * has been acquired, so time spent waiting for other writers doesn't cut the locked steps short.
+ * Outside runWithDeadline the task runs as is and each call keeps its own deadline.
+ * @param {Function} task - The task
+ * @returns {any} The task's result
+ */
+function restartDeadline(task) {
+    if (!requestDeadline.getStore()) {
+        return task();
+    }
+    return runWithDeadline(Date.now() + config.sheets_request_deadline_seconds * 1000, task);
+}
+
+/**
+ * Call the Sheets API, retrying rate-limit responses, server errors and dropped connections
+ * until SHEETS_MAX_RETRIES or the deadline runs out. Inside runWithDeadline that is the caller's
+ * deadline, so a request's calls share it; otherwise each call gets SHEETS_REQUEST_DEADLINE_SECONDS.
+ * Calls that aren't safe to repeat pass `verify`, which is asked after a failure that may have
+ * been applied anyway (a 5xx or a dropped connection) and stops the retry if it was.
+ * @param {string} description - What the call does, used in logs
+ * @param {Function} call - Makes the call; receives the time left before the deadline in milliseconds
+ * @param {Object} options - Retry options
+ * @param {Function} options.verify - Checks whether the call was applied; resolves to { applied: boolean, result }
+ * @returns {Promise<any>} The result of the call
+ */
+async function withRetry(description, call, { verify = null } = {}) {
+    const shared = requestDeadline.getStore();
+    const deadline = shared ? shared.deadline : Date.now() + config.sheets_request_deadline_seconds * 1000;
+
+    for (let attempt = 0; ; attempt++) {
+        if (pausedUntil > Date.now()) {
+            await sleep(Math.min(pausedUntil, deadline) - Date.now());
+        }
+
+        const remaining = deadline - Date.now();
+        let error;
+        if (remaining <= 0) {
+            error = new Error(`Sheets request deadline of ${config.sheets_request_deadline_seconds}s exceeded (${description})`);
+        } else {
+            try {
+                return await call(remaining);
+            } catch (callError) {
+                error = callError;
+            }
+        }
+
+        const { retry, ambiguous, rateLimited, retryAfterMs } = classifyError(error);
+        if (!retry || attempt >= config.sheets_max_retries) {
+            throw error;
+        }
+
+        if (ambiguous && verify) {
+            const check = await verify();
+            if (check.applied) {
+                console.warn(`⚠️ ${description} failed (${error.message}) but was applied, not repeating it`);
+                return check.result;
+            }
+        }
+
+        // Full jitter, unless the API said how long to wait
+        const delay = retryAfterMs !== null ? retryAfterMs : Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+        if (Date.now() + delay >= deadline) {
+            console.error(`❌ ${description} failed (${error.message}), no time left to retry before the deadline`);
+            throw error;
+        }
+        if (rateLimited) {
+            pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+        }
+
+        console.warn(`⚠️ ${description} failed (${error.message}), retry ${attempt + 1} of ${config.sheets_max_retries} in ${Math.round(delay)}ms`);
+        await sleep(delay);
+    }
+}
+
+module.exports = {
+    runWithDeadline,
+    restartDeadline,
+    withRetry
+};
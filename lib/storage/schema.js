@@ -0,0 +1,90 @@
+// Sheet names and header rows shared by every storage driver
+const { checkLevel } = require("../catalog");
+const config = require("../config");
+
+const GLOBAL_SCORES_SHEET = config.global_scores_sheet; // Sheet for global scores
+const PLAYERS_SHEET = config.players_sheet; // Sheet for player information
+const FLAGGED_SCORES_SHEET = config.flagged_scores_sheet; // Sheet for submissions that broke the score rules
+const MODERATION_LOG_SHEET = config.moderation_log_sheet; // Sheet for nicknames caught by the blocked-word filter
+
+// Maximum number of entries to keep per leaderboard
+const MAX_LEADERBOARD_ENTRIES = config.max_leaderboard_entries;
+
+// Header rows, used when a driver has to create a sheet from scratch
+const PLAYERS_HEADER = ["player_id", "player_name", "created", "levels_completed", "total_score", "position_global"];
+const GLOBAL_SCORES_HEADER = ["position_global", "player_id", "player_name", "total_score", "levels_completed", "timestamp", "season"];
+const LEVEL_HEADER = ["position_level", "player_id", "player_name", "score", "timestamp", "time", "season"];
+const FLAGGED_SCORES_HEADER = ["timestamp", "board", "player_id", "player_name", "score", "time", "action", "reason"];
+const MODERATION_LOG_HEADER = ["timestamp", "route", "player_id", "nickname", "language", "matched", "action", "replacement"];
+
+/**
+ * Get the sheet name for a specific level-language-difficulty combination
+ * @param {string} level_id - The level ID (e.g., "1", "2", "3")
+ * @param {string} language - The language code (e.g., "en", "pl", "ru")
+ * @param {string} difficulty - The difficulty level (e.g., "easy", "normal")
+ * @returns {string} The sheet name
+ */
+function getLevelSheetName(level_id, language, difficulty) {
+    return `${level_id}_${language}_${difficulty}`;
+}
+
+/**
+ * Get the name of the sheet that receives rows trimmed from a leaderboard sheet
+ * @param {string} sheetName - The name of the leaderboard sheet
+ * @returns {string} The archive sheet name
+ */
+function getArchiveSheetName(sheetName) {
+    return `${sheetName}_archive`;
+}
+
+/**
+ * Get the name of the sheet that holds a leaderboard's final standings for a past season
+ * @param {string} sheetName - The name of the leaderboard sheet
+ * @param {string} season - The season ID
+ * @returns {string} The season sheet name
+ */
+function getSeasonSheetName(sheetName, season) {
+    return `${sheetName}_season_${season}`;
+}
+
+/**
+ * Split a level sheet name back into its level, language and difficulty
+ * @param {string} sheetName - The name of the sheet
+ * @returns {{level_id: string, language: string, difficulty: string}|null} The parts, or null if the sheet is not a level sheet in the catalog
+ */
+function parseLevelSheetName(sheetName) {
+    const parts = sheetName.split("_");
+    if (parts.length !== 3) {
+        return null;
+    }
+
+    const [level_id, language, difficulty] = parts;
+    return checkLevel(level_id, language, difficulty) ? null : { level_id, language, difficulty };
+}
+
+/**
+ * Check whether a sheet name belongs to a level leaderboard in the catalog
+ * @param {string} sheetName - The name of the sheet
+ * @returns {boolean} True for level sheets
+ */
+function isLevelSheet(sheetName) {
+    return parseLevelSheetName(sheetName) !== null;
+}
+
+module.exports = {
+    GLOBAL_SCORES_SHEET,
+    PLAYERS_SHEET,
+    FLAGGED_SCORES_SHEET,
+    MODERATION_LOG_SHEET,
+    MAX_LEADERBOARD_ENTRIES,
+    PLAYERS_HEADER,
+    GLOBAL_SCORES_HEADER,
+    LEVEL_HEADER,
+    FLAGGED_SCORES_HEADER,
+    MODERATION_LOG_HEADER,
+    getLevelSheetName,
+    getArchiveSheetName,
+    getSeasonSheetName,
+    parseLevelSheetName,
+    isLevelSheet
+};
@@ -0,0 +1,126 @@
+// Day, week and month leaderboard windows with boundaries in the player's timezone
+const config = require("./config");
+
+// Supported `window` values; "all" is the whole season
+const WINDOWS = ["day", "week", "month", "all"];
+
+/**
+ * Check whether a string is an IANA timezone name the runtime knows
+ * @param {string} timeZone - The timezone, e.g. "Europe/Warsaw"
+ * @returns {boolean} True if the timezone is valid
+ */
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Get the wall-clock date and time in a timezone
+ * @param {number} time - Time in milliseconds
+ * @param {string} timeZone - The timezone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}} The local parts; month is 1-based, weekday 0 is Monday
+ */
+function getLocalParts(time, timeZone) {
+    const parts = {};
+    const formatter = new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+        weekday: "short"
+    });
+    for (const part of formatter.formatToParts(new Date(time))) {
+        parts[part.type] = part.value;
+    }
+
+    return {
+        year: parseInt(parts.year),
+        month: parseInt(parts.month),
+        day: parseInt(parts.day),
+        hour: parseInt(parts.hour),
+        minute: parseInt(parts.minute),
+        second: parseInt(parts.second),
+        weekday: ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"].indexOf(parts.weekday)
+    };
+}
+
+/**
+ * Get how far a timezone is ahead of UTC at a given moment
+ * @param {number} time - Time in milliseconds
+ * @param {string} timeZone - The timezone
+ * @returns {number} The offset in milliseconds
+ */
+function getTimeZoneOffset(time, timeZone) {
+    const local = getLocalParts(time, timeZone);
+    const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+    return asUtc - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Get the moment local midnight starts on a calendar date in a timezone
+ * @param {number} year - The year
+ * @param {number} month - The 1-based month
+ * @param {number} day - The day of the month, may overflow into the next or previous month
+ * @param {string} timeZone - The timezone
+ * @returns {number} Time in milliseconds
+ */
+function getLocalMidnight(year, month, day, timeZone) {
+    const guess = Date.UTC(year, month - 1, day);
+    // Correct with the offset at the result, which differs from the guess's across a DST change
+    const first = guess - getTimeZoneOffset(guess, timeZone);
+    return guess - getTimeZoneOffset(first, timeZone);
+}
+
+/**
+ * Get when the current window started. Weeks start on Monday.
+ * @param {string} window - One of WINDOWS
+ * @param {string} timeZone - The timezone the boundaries are in
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} Time in milliseconds, or null for "all"
+ */
+function getWindowStart(window, timeZone, now = Date.now()) {
+    const local = getLocalParts(now, timeZone);
+
+    switch (window) {
+        case "day":
+            return getLocalMidnight(local.year, local.month, local.day, timeZone);
+        case "week":
+            return getLocalMidnight(local.year, local.month, local.day - local.weekday, timeZone);
+        case "month":
+            return getLocalMidnight(local.year, local.month, 1, timeZone);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Read the `window` and `tz` query parameters of a leaderboard request
+ * @param {Object} query - The request query
+ * @returns {{window?: string, since?: number|null, error?: string}} The window and when it started, or why the parameters are invalid
+ */
+function parseWindowParams(query) {
+    const window = query.window || "all";
+    const timeZone = query.tz || config.leaderboard_timezone;
+
+    if (!WINDOWS.includes(window)) {
+        return { error: `Invalid window: ${window}. Expected one of: ${WINDOWS.join(", ")}` };
+    }
+
+    if (!isValidTimeZone(timeZone)) {
+        return { error: `Invalid tz: ${timeZone}. Expected an IANA timezone such as Europe/Warsaw` };
+    }
+
+    return { window, since: getWindowStart(window, timeZone) };
+}
+
+module.exports = {
+    parseWindowParams
+};
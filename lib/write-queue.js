@@ -0,0 +1,63 @@
+// Per-sheet write queue so overlapping submissions are applied one at a time
+const { restartDeadline } = require("./storage/retry");
+
+// Queue state per sheet name: the promise the next writer waits on and the number of pending writers
+const queues = new Map();
+
+/**
+ * Run a task once every earlier task queued for the same sheet has finished
+ * @param {string} sheetName - The sheet being written
+ * @param {Function} task - Async function to run while holding the sheet
+ * @returns {Promise<any>} The task's result
+ */
+async function runExclusive(sheetName, task) {
+    let queue = queues.get(sheetName);
+    if (!queue) {
+        queue = { tail: Promise.resolve(), depth: 0 };
+        queues.set(sheetName, queue);
+    }
+
+    queue.depth++;
+    if (queue.depth > 1) {
+        console.log(`⏳ Write queued for ${sheetName} (queue depth: ${queue.depth})`);
+    }
+
+    const previous = queue.tail;
+    let release;
+    queue.tail = new Promise(resolve => { release = resolve; });
+
+    try {
+        // A failed task must not block the writers behind it
+        await previous.catch(() => {});
+        return await task();
+    } finally {
+        queue.depth--;
+        if (queue.depth === 0) {
+            queues.delete(sheetName);
+        }
+        release();
+    }
+}
+
+/**
+ * Run a task while holding the write queue of every given sheet.
+ * Sheets are always acquired in sorted order so two tasks can never wait on each other.
+ * The request's Sheets deadline starts over once every sheet is held, so a write that waited
+ * behind others still has the full deadline to finish its follow-up steps.
+ * @param {string[]} sheetNames - The sheets being written
+ * @param {Function} task - Async function to run while holding all sheets
+ * @returns {Promise<any>} The task's result
+ */
+async function withSheetLocks(sheetNames, task) {
+    const sorted = [...new Set(sheetNames)].sort();
+
+    const acquire = index => index < sorted.length
+        ? runExclusive(sorted[index], () => acquire(index + 1))
+        : restartDeadline(task);
+
+    return acquire(0);
+}
+
+module.exports = {
+    withSheetLocks
+};